@@ -259,4 +259,76 @@ describe('construction', function() {
     assert(booleanIndex > stringIndex, 'boolean must come after string');
   });
 
+  it('should create a typed function from an array with signatures', function() {
+    var fn = typed('fn', [
+      ['number', function (value) {
+        return 'number:' + value;
+      }],
+      ['string', function (value) {
+        return 'string:' + value;
+      }]
+    ]);
+
+    assert.equal(fn.name, 'fn');
+    assert.equal(fn(2), 'number:2');
+    assert.equal(fn('foo'), 'string:foo');
+    assert.deepEqual(Object.keys(fn.signatures), ['number', 'string']);
+  });
+
+  it('should create a typed function from a Map with signatures', function() {
+    var signatures = new Map();
+    signatures.set('number', function (value) {
+      return 'number:' + value;
+    });
+    signatures.set('string', function (value) {
+      return 'string:' + value;
+    });
+
+    var fn = typed(signatures);
+
+    assert.equal(fn(2), 'number:2');
+    assert.equal(fn('foo'), 'string:foo');
+  });
+
+  it('should order equally ranked signatures by their declaration', function() {
+    function a () { return 'a'; }
+    function b () { return 'b'; }
+
+    var fn1 = typed([['0..5', a], ['3..10', b]]);
+    var fn2 = typed([['3..10', b], ['0..5', a]]);
+    assert.equal(fn1(4), 'a');
+    assert.equal(fn2(4), 'b');
+
+    var signatures3 = new Map();
+    signatures3.set('{x: number}', a);
+    signatures3.set('{y: number}', b);
+    var signatures4 = new Map();
+    signatures4.set('{y: number}', b);
+    signatures4.set('{x: number}', a);
+
+    assert.equal(typed(signatures3)({x: 1, y: 2}), 'a');
+    assert.equal(typed(signatures4)({x: 1, y: 2}), 'b');
+  });
+
+  it('should keep the order of declaration when merging typed functions', function() {
+    function a () { return 'a'; }
+    function b () { return 'b'; }
+
+    var fn1 = typed([['0..5', a]]);
+    var fn2 = typed([['3..10', b]]);
+
+    assert.equal(typed(fn1, fn2)(4), 'a');
+    assert.equal(typed(fn2, fn1)(4), 'b');
+  });
+
+  it('should throw an error in case of an invalid array with signatures', function() {
+    assert.throws(function () {
+      typed([['number', function () {}], ['string']]);
+    }, /TypeError: Array with \[signature: string, fn: Function] pairs expected \(index: 1\)/);
+
+    assert.throws(function () {
+      typed([[2, function () {}]]);
+    }, /TypeError: Array with \[signature: string, fn: Function] pairs expected \(index: 0\)/);
+  });
+
 });
@@ -14,9 +14,9 @@ describe('conversion', function () {
         to: 'Date',
         convert: function (x) {
           var d = new Date(x);
-          return isNaN(d.valueOf()) ? undefined : d;
+          return isNaN(d.valueOf()) ? typed.NO_MATCH : d;
         },
-        fallible: true // TODO: not yet supported
+        fallible: true
       }
     ];
   });
@@ -164,6 +164,28 @@ describe('conversion', function () {
     assert.throws(function () {fn(true,2,4)}, /TypeError: Too many arguments in function unnamed \(expected: 1, actual: 3\)/);
   });
 
+  it('should add conversions to variable arguments when another signature converts the same type', function() {
+    var fn = typed({
+      'string, number': function (a, b) {
+        return 'string, number';
+      },
+      'Date, ...number': function (date, values) {
+        return values;
+      }
+    });
+
+    assert.equal(fn('foo', true), 'string, number');
+    assert.deepEqual(fn(new Date(), 2, true), [2, 1]);
+  });
+
+  it('should list signatures with variable arguments having conversions', function() {
+    function f () {}
+    var fn = typed({'...number': f});
+
+    assert.deepEqual(Object.keys(fn.signatures), ['...number']);
+    assert.strictEqual(typed(fn, typed({'Date': function () {}})).signatures['...number'], f);
+  });
+
   it('should add conversions to a function with variable and union arguments', function() {
     var fn = typed({
       '...string | number': function (values) {
@@ -271,6 +293,108 @@ describe('conversion', function () {
     assert.equal(fn('{}'), 'any');
   });
 
+  it('should remove redundant conversions of variable arguments', function() {
+    var fn = typed({
+      'number, number': function () {
+        return 'numbers';
+      },
+      '...number': function () {
+        return '...number';
+      },
+      'Date, ...string': function () {
+        return '...string';
+      }
+    });
+
+    assert.equal(fn(2, true), 'numbers');
+    assert.equal(fn(new Date(), 'foo', true), '...string');
+  });
+
+  describe('fallible conversions', function () {
+    var typed2;
+
+    before(function () {
+      typed2 = typed.create();
+      typed2.addConversion({
+        from: 'string',
+        to: 'number',
+        convert: function (x) {
+          var n = parseFloat(x);
+          return isNaN(n) ? typed2.NO_MATCH : n;
+        },
+        fallible: true
+      });
+    });
+
+    it('should fall through to the next signature when a conversion fails', function() {
+      var fn = typed2({
+        'number': function (a) {
+          return 'number:' + a;
+        },
+        'any': function (a) {
+          return 'any:' + a;
+        }
+      });
+
+      assert.equal(fn(2), 'number:2');
+      assert.equal(fn('2'), 'number:2');
+      assert.equal(fn('foo'), 'any:foo');
+    });
+
+    it('should fall through to the next signature with multiple arguments', function() {
+      var fn = typed2({
+        'number, number': function (a, b) {
+          return 'numbers:' + (a + b);
+        },
+        'any, string': function (a, b) {
+          return 'any, string';
+        }
+      });
+
+      assert.equal(fn('2', '3'), 'numbers:5');
+      assert.equal(fn(2, 'foo'), 'any, string');
+      assert.throws(function () {fn('foo', 3)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: number, index: 1\)/);
+    });
+
+    it('should throw the normal error when no signature matches after a failed conversion', function() {
+      var fn = typed2('fn', {
+        'number, number': function (a, b) {
+          return a + b;
+        }
+      });
+
+      assert.equal(fn(2, '3'), 5);
+      assert.throws(function () {fn(2, 'foo')}, /TypeError: Unexpected type of argument in function fn \(expected: number, actual: string, index: 1\)/);
+      assert.throws(function () {fn('foo', 2)}, /TypeError: Unexpected type of argument in function fn \(expected: number, actual: string, index: 0\)/);
+    });
+
+    it('should handle a failed conversion of variable arguments like a wrong type', function() {
+      var fn = typed2({
+        '...number': function (values) {
+          return values;
+        }
+      });
+
+      assert.deepEqual(fn('1', 2, '3'), [1, 2, 3]);
+      assert.throws(function () {fn(1, 'foo')}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 1\)/);
+    });
+
+    it('should convert the elements of generic types with fallible conversions', function() {
+      var fn = typed2({
+        'Array.<number>': function (values) {
+          return values;
+        },
+        'any': function (values) {
+          return 'any';
+        }
+      });
+
+      assert.deepEqual(fn([1, '2']), [1, 2]);
+      assert.equal(fn([1, 'foo']), 'any');
+    });
+
+  });
+
   describe ('ordering', function () {
 
     it('should correctly select the signatures with the least amount of conversions', function () {
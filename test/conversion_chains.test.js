@@ -0,0 +1,166 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('conversion chains', function () {
+
+  function BigNumber (value) {
+    this.value = value;
+  }
+  function Complex (re) {
+    this.re = re;
+  }
+
+  function createTyped (conversionChains) {
+    var typed2 = typed.create({config: {conversionChains: conversionChains}});
+    typed2.addType({name: 'BigNumber', test: function (x) { return x instanceof BigNumber; }});
+    typed2.addType({name: 'Complex', test: function (x) { return x instanceof Complex; }});
+    typed2.addConversion({
+      from: 'number',
+      to: 'BigNumber',
+      convert: function (x) {
+        return new BigNumber(x);
+      }
+    });
+    typed2.addConversion({
+      from: 'BigNumber',
+      to: 'Complex',
+      convert: function (x) {
+        return new Complex(x.value);
+      }
+    });
+    return typed2;
+  }
+
+  it('should not chain conversions by default', function() {
+    var typed2 = createTyped(false);
+    var fn = typed2('fn', {
+      'Complex': function (c) {
+        return c;
+      }
+    });
+
+    assert(fn(new BigNumber(2)) instanceof Complex);
+    assert.throws(function () {fn(2)}, /TypeError: Unexpected type of argument in function fn \(expected: Complex, actual: number, index: 0\)/);
+  });
+
+  it('should chain conversions when enabled', function() {
+    var typed2 = createTyped(true);
+    var fn = typed2({
+      'Complex': function (c) {
+        return c;
+      }
+    });
+
+    var c = fn(2);
+    assert(c instanceof Complex);
+    assert.strictEqual(c.re, 2);
+    assert(fn(new BigNumber(3)) instanceof Complex);
+  });
+
+  it('should prefer direct conversions over chains', function() {
+    var typed2 = createTyped(true);
+    typed2.addConversion({
+      from: 'number',
+      to: 'Complex',
+      convert: function (x) {
+        return new Complex(-x);
+      }
+    });
+
+    var fn = typed2({
+      'Complex': function (c) {
+        return c.re;
+      }
+    });
+
+    assert.strictEqual(fn(2), -2);
+  });
+
+  it('should choose the shortest chain', function() {
+    var typed2 = createTyped(true);
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) { return +x; }});
+    typed2.addConversion({from: 'string', to: 'boolean', convert: function (x) { return x === 'true'; }});
+    typed2.addConversion({from: 'string', to: 'BigNumber', convert: function (x) { return new BigNumber(parseFloat(x)); }});
+
+    var fn = typed2({
+      'Complex': function (c) {
+        return c.re;
+      }
+    });
+
+    assert.strictEqual(fn(true), 1);   // boolean -> number -> BigNumber -> Complex
+    assert.strictEqual(fn('4.5'), 4.5); // string -> BigNumber -> Complex
+  });
+
+  it('should fall through when a fallible conversion in a chain fails', function() {
+    var typed2 = createTyped(true);
+    typed2.addConversion({
+      from: 'string',
+      to: 'number',
+      convert: function (x) {
+        var n = Number(x);
+        return isNaN(n) ? typed.NO_MATCH : n;
+      },
+      fallible: true
+    });
+
+    var fn = typed2({
+      'Complex': function (c) {
+        return c.re;
+      },
+      'any': function (x) {
+        return 'any';
+      }
+    });
+
+    assert.strictEqual(fn('3'), 3);
+    assert.strictEqual(fn('foo'), 'any');
+  });
+
+  it('should show the chain in the generated code', function() {
+    var typed2 = createTyped(true);
+    var fn = typed2({
+      'Complex': function (c) {
+        return c;
+      }
+    });
+
+    assert.notEqual(fn.toString().indexOf('// type: number (convert to Complex via BigNumber)'), -1);
+  });
+
+  it('should list only the declared signatures in fn.signatures', function() {
+    var typed2 = createTyped(true);
+    var fn = typed2({
+      'Complex': function (c) {
+        return c;
+      }
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures), ['Complex']);
+  });
+
+  it('should resolve a chain of conversions', function() {
+    var typed2 = createTyped(true);
+    var fn = typed2({
+      'Complex': function (c) {
+        return c;
+      }
+    });
+
+    assert.deepEqual(typed2.resolve(fn, [2]).conversionsApplied, [
+      {index: 0, from: 'number', to: 'Complex', path: ['number', 'BigNumber', 'Complex']}
+    ]);
+    assert.deepEqual(typed2.resolve(fn, [new BigNumber(2)]).conversionsApplied, [
+      {index: 0, from: 'BigNumber', to: 'Complex'}
+    ]);
+  });
+
+  it('should convert a value via a chain of conversions', function() {
+    var typed2 = createTyped(true);
+    assert(typed2.convert(2, 'Complex') instanceof Complex);
+
+    var typed3 = createTyped(false);
+    assert.throws(function () {typed3.convert(2, 'Complex')}, /Error: Cannot convert from number to Complex/);
+  });
+
+});
@@ -0,0 +1,100 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('conversion cost', function () {
+
+  var booleanToNumber = {from: 'boolean', to: 'number', convert: function (x) { return +x; }};
+  var booleanToString = {from: 'boolean', to: 'string', convert: function (x) { return x + ''; }};
+
+  function withCost (conversion, cost) {
+    return {from: conversion.from, to: conversion.to, convert: conversion.convert, cost: cost};
+  }
+
+  it('should prefer the conversion with the lowest cost regardless of the order of conversions', function() {
+    var typed1 = typed.create({conversions: [withCost(booleanToString, 2), withCost(booleanToNumber, 1)]});
+    var typed2 = typed.create({conversions: [withCost(booleanToNumber, 1), withCost(booleanToString, 2)]});
+
+    var signatures = {
+      'number': function (x) { return 'number:' + x; },
+      'string': function (x) { return 'string:' + x; }
+    };
+
+    assert.equal(typed1(signatures)(true), 'number:1');
+    assert.equal(typed2(signatures)(true), 'number:1');
+  });
+
+  it('should fall back to the order of conversions in case of equal cost', function() {
+    var typed2 = typed.create({conversions: [booleanToString, booleanToNumber]});
+
+    var fn = typed2({
+      'number': function (x) { return 'number:' + x; },
+      'string': function (x) { return 'string:' + x; }
+    });
+
+    assert.equal(fn(true), 'string:true');
+  });
+
+  it('should rank signatures by the total cost of their conversions', function() {
+    var typed2 = typed.create({conversions: [
+      withCost(booleanToNumber, 1),
+      withCost(booleanToString, 2),
+      {from: 'boolean', to: 'Date', convert: function (x) { return new Date(0); }, cost: 5}
+    ]});
+
+    var fn = typed2({
+      'number, Date': function (a, b) { return 'number, Date'; },
+      'string, string': function (a, b) { return 'string, string'; }
+    });
+
+    // total cost 1 + 5 versus 2 + 2
+    assert.equal(fn(true, true), 'string, string');
+    assert.equal(fn(true, new Date()), 'number, Date');
+  });
+
+  it('should throw an error in case of ambiguous conversions with equal cost', function() {
+    var typed2 = typed.create({conversions: [withCost(booleanToNumber, 1), withCost(booleanToString, 1)]});
+
+    assert.throws(function () {
+      typed2({
+        'number, string': function () {},
+        'string, number': function () {}
+      });
+    }, /Error: Ambiguous conversions for arguments "boolean, boolean": signatures "number,string" and "string,number" have equal conversion cost 2/);
+  });
+
+  it('should not throw an error for equal cost of conversions without explicit cost', function() {
+    var typed2 = typed.create({conversions: [booleanToNumber, booleanToString]});
+
+    var fn = typed2({
+      'number, string': function () { return 'number, string'; },
+      'string, number': function () { return 'string, number'; }
+    });
+
+    assert.equal(fn(true, true), 'number, string');
+  });
+
+  it('should sum the cost of a chain of conversions', function() {
+    var typed2 = typed.create({
+      config: {conversionChains: true},
+      conversions: [
+        withCost(booleanToNumber, 1),
+        {from: 'number', to: 'Date', convert: function (x) { return new Date(x); }, cost: 1},
+        {from: 'boolean', to: 'string', convert: booleanToString.convert, cost: 3}
+      ]
+    });
+
+    var fn = typed2({
+      'Date': function (x) { return 'Date'; },
+      'string': function (x) { return 'string'; }
+    });
+
+    assert.equal(fn(true), 'Date');
+  });
+
+  it('should throw an error in case of an invalid cost', function() {
+    var typed2 = typed.create();
+    assert.throws(function () {typed2.addConversion(withCost(booleanToNumber, -1))}, /TypeError: Non-negative number expected for the cost of a conversion/);
+    assert.throws(function () {typed2.addConversion(withCost(booleanToNumber, '1'))}, /TypeError: Non-negative number expected for the cost of a conversion/);
+  });
+
+});
@@ -13,9 +13,9 @@ describe('convert', function () {
         to: 'Date',
         convert: function (x) {
           var d = new Date(x);
-          return isNaN(d.valueOf()) ? undefined : d;
+          return isNaN(d.valueOf()) ? typed.NO_MATCH : d;
         },
-        fallible: true // TODO: not yet supported
+        fallible: true
       }
     ];
   });
@@ -39,4 +39,9 @@ describe('convert', function () {
   it('should throw an error when no conversion function is found', function() {
     assert.throws(function () {typed.convert(2, 'boolean')}, /Error: Cannot convert from number to boolean/);
   });
+
+  it('should throw an error when a fallible conversion fails', function() {
+    assert.ok(typed.convert('2016-01-01', 'Date') instanceof Date);
+    assert.throws(function () {typed.convert('foo', 'Date')}, /Error: Cannot convert from string to Date/);
+  });
 });
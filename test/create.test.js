@@ -0,0 +1,129 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('create', function () {
+
+  function Person() {}
+  var personType = {
+    name: 'Person',
+    test: function (x) {
+      return x instanceof Person;
+    }
+  };
+  var booleanToNumber = {
+    from: 'boolean',
+    to: 'number',
+    convert: function (x) {
+      return +x;
+    }
+  };
+
+  it('should create an instance with the built-in types by default', function() {
+    var typed2 = typed.create();
+
+    assert.deepEqual(typed2.types.map(function (type) { return type.name; }),
+        typed.create().types.map(function (type) { return type.name; }));
+    assert.deepEqual(typed2.conversions, []);
+    assert.deepEqual(typed2.ignore, []);
+    assert.deepEqual(typed2.config, {});
+  });
+
+  it('should create an instance with the provided types and conversions', function() {
+    var typed2 = typed.create({
+      types: [personType, typed.types[0], typed.types[2]],
+      conversions: [booleanToNumber]
+    });
+
+    assert.deepEqual(typed2.types.map(function (type) { return type.name; }), ['Person', 'number', 'boolean']);
+    assert.deepEqual(typed2.conversions, [booleanToNumber]);
+
+    var fn = typed2({
+      'Person': function () { return 'Person'; },
+      'number': function (x) { return x; }
+    });
+    assert.equal(fn(new Person()), 'Person');
+    assert.strictEqual(fn(true), 1);
+
+    assert.throws(function () {
+      typed2({'string': function () {}});
+    }, /Error: Unknown type "string"/);
+  });
+
+  it('should create an instance with an empty type list', function() {
+    var typed2 = typed.create({types: []});
+
+    assert.deepEqual(typed2.types, []);
+    assert.throws(function () {
+      typed2({'number': function () {}});
+    }, /Error: Unknown type "number"/);
+
+    typed2.addType(personType);
+    assert.equal(typed2({'Person': function () { return 'Person'; }})(new Person()), 'Person');
+  });
+
+  it('should create an instance with ignored types and config', function() {
+    function onMismatch () {
+      return 'mismatch';
+    }
+    var typed2 = typed.create({
+      ignore: ['string'],
+      config: {onMismatch: onMismatch}
+    });
+
+    var fn = typed2({
+      'number': function (x) { return x; },
+      'string': function (x) { return x; }
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures), ['number']);
+    assert.equal(fn('foo'), 'mismatch');
+  });
+
+  it('should create an instance inheriting copies of the registries of its parent', function() {
+    var parent = typed.create({
+      conversions: [booleanToNumber],
+      ignore: ['Date'],
+      config: {foo: 'bar'}
+    });
+    parent.addType(personType);
+
+    var typed2 = parent.create({inherit: true});
+    assert.deepEqual(typed2.types, parent.types);
+    assert.deepEqual(typed2.conversions, parent.conversions);
+    assert.deepEqual(typed2.ignore, parent.ignore);
+    assert.deepEqual(typed2.config, parent.config);
+
+    assert.notStrictEqual(typed2.types, parent.types);
+    assert.notStrictEqual(typed2.conversions, parent.conversions);
+    assert.notStrictEqual(typed2.ignore, parent.ignore);
+    assert.notStrictEqual(typed2.config, parent.config);
+
+    // changes in the child do not affect the parent
+    typed2.addConversion({from: 'string', to: 'number', convert: Number});
+    typed2.config.foo = 'baz';
+    assert.equal(parent.conversions.length, 1);
+    assert.equal(parent.config.foo, 'bar');
+  });
+
+  it('should replace inherited registries with provided registries', function() {
+    var parent = typed.create({conversions: [booleanToNumber]});
+    parent.addType(personType);
+
+    var typed2 = parent.create({inherit: true, conversions: []});
+    assert.deepEqual(typed2.conversions, []);
+    assert.strictEqual(typed2.types[typed2.types.length - 1], personType);
+  });
+
+  it('should throw an error in case of invalid options', function() {
+    assert.throws(function () {typed.create('foo')}, /TypeError: Object expected for options/);
+    assert.throws(function () {typed.create({types: 'foo'})}, /TypeError: Array expected for option "types"/);
+    assert.throws(function () {typed.create({types: [{}]})}, /TypeError: Object with properties \{name: string, test: function} expected/);
+    assert.throws(function () {typed.create({conversions: [{}]})}, /TypeError: Object with properties \{from: string, to: string, convert: function} expected/);
+    assert.throws(function () {typed.create({ignore: [2]})}, /TypeError: String expected for the names of ignored types/);
+    assert.throws(function () {typed.create({config: null})}, /TypeError: Object expected for option "config"/);
+
+    var create = typed.create;
+    assert.throws(function () {create({inherit: true})}, /TypeError: Cannot inherit, create must be invoked on an instance of typed-function/);
+  });
+
+});
@@ -0,0 +1,116 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('toDot', function () {
+
+  it('should render the decision tree as a DOT graph', function() {
+    var fn = typed('fn', {
+      'number, string': function () {},
+      'boolean': function () {}
+    });
+
+    assert.strictEqual(typed.toDot(fn),
+        'digraph "fn" {\n' +
+        '  node [shape=box, fontname="monospace"];\n' +
+        '  n0 [label="fn"];\n' +
+        '  n1 [label="number"];\n' +
+        '  n2 [label="string\\nsignature: number,string", peripheries=2];\n' +
+        '  n1 -> n2;\n' +
+        '  n0 -> n1;\n' +
+        '  n3 [label="boolean\\nsignature: boolean", peripheries=2];\n' +
+        '  n0 -> n3;\n' +
+        '}\n');
+  });
+
+  it('should draw fall-through edges to the next node', function() {
+    var fn = typed({
+      'number, number': function () {},
+      'any, string': function () {}
+    });
+
+    var dot = typed.toDot(fn);
+    assert(/^digraph "unnamed" \{\n/.test(dot));
+    assert(/n1 \[label="number"\];/.test(dot));
+    assert(/n3 \[label="any"\];/.test(dot));
+    assert(/n1 -> n3 \[style=dashed, label="fall through"\];/.test(dot));
+  });
+
+  it('should render conversions and fallible nodes', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'string', to: 'number', fallible: true, convert: function (x) {
+      return isNaN(x) ? typed2.NO_MATCH : parseFloat(x);
+    }});
+
+    var dot = typed2.toDot(typed2({
+      'number': function () {},
+      'boolean': function () {}
+    }));
+
+    assert(/\[label="string\\nconvert: string \(convert to number\)\\nfallible\\nsignature: number", peripheries=2\];/.test(dot));
+  });
+
+  it('should render the tree with which the typed function was created', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) {
+      return +x;
+    }});
+
+    var fn = typed2({'number': function () {}});
+
+    // typed has no conversions, and typed2 gets a conversion afterwards
+    typed2.addConversion({from: 'string', to: 'number', convert: function (x) {
+      return parseFloat(x);
+    }});
+
+    [typed.toDot(fn), typed2.toDot(fn)].forEach(function (dot) {
+      assert(/\[label="boolean\\nconvert: boolean \(convert to number\)\\nsignature: number", peripheries=2\];/.test(dot));
+      assert.strictEqual(dot.indexOf('string'), -1);
+    });
+  });
+
+  it('should render signatures with trailing parameters', function() {
+    var dot = typed.toDot(typed({
+      '...number, string': function () {}
+    }));
+
+    assert(/\[label="\.\.\.number\\ntrailing: \.\.\.number,string"\];/.test(dot));
+  });
+
+  it('should escape labels', function() {
+    var dot = typed.toDot(typed({
+      '"linear" | "cubic"': function () {}
+    }));
+
+    assert(/\[label="\\"linear\\"\\nsignature: \\"linear\\"", peripheries=2\];/.test(dot));
+  });
+
+  it('should render nodes falling through to a node accepting the same values', function() {
+    var typed2 = typed.create();
+    typed2.addType({name: 'Integer', extends: 'number', test: function (x) {
+      return typeof x === 'number' && Math.round(x) === x;
+    }});
+    typed2.addConversion({from: 'Integer', to: 'string', convert: function (x) {
+      return String(x);
+    }});
+
+    var dot = typed2.toDot(typed2({
+      'number, number': function () {},
+      'string': function () {}
+    }));
+
+    // Integer values are numbers, so the number node falls through to the
+    // node converting Integer values
+    assert(/n1 \[label="number\\nfallible"\];/.test(dot));
+    assert(/\[label="string\\nsignature: string", peripheries=2\];/.test(dot));
+    assert(/\[label="Integer\\nconvert: Integer \(convert to string\)\\nsignature: string", peripheries=2\];/.test(dot));
+    assert(/n1 -> n3 \[style=dashed, label="fall through"\];/.test(dot));
+    assert.strictEqual(dot.indexOf('unreachable'), -1);
+  });
+
+  it('should throw an error in case of a function which is no typed-function', function() {
+    assert.throws(function () {
+      typed.toDot(function () {});
+    }, /TypeError: Function is no typed-function/);
+  });
+
+});
@@ -40,9 +40,105 @@ describe('find', function () {
     }, /TypeError: Signature not found \(signature: fn\(number, number\)\)/);
   });
 
+  it('should find a non-exact signature matching via any', function() {
+    assert.strictEqual(typed.find(fn, ['Array']), d);
+    assert.strictEqual(typed.find(fn, 'string'), d);
+  });
+
+  it('should find a non-exact signature matching via variable arguments', function() {
+    assert.strictEqual(typed.find(fn, ['string']), d);
+    assert.strictEqual(typed.find(fn, ['string', 'number']), b);
+    assert.strictEqual(typed.find(fn, 'string, number, number'), b);
+  });
+
+  it('should find a non-exact signature matching via union types and nullable types', function() {
+    function f () {}
+    function g () {}
+    var fn2 = typed({
+      'number | string, boolean': f,
+      '?Date': g
+    });
+
+    assert.strictEqual(typed.find(fn2, 'string, boolean'), f);
+    assert.strictEqual(typed.find(fn2, 'Date'), g);
+    assert.strictEqual(typed.find(fn2, 'null'), g);
+    assert.throws(function () {
+      typed.find(fn2, 'number | string, boolean');
+    }, /TypeError: Signature not found/);
+  });
+
+  it('should find the signature which would be invoked', function() {
+    function f () {}
+    function g () {}
+    var fn2 = typed([
+      ['0..5', f],
+      ['number', g]
+    ]);
+
+    assert.strictEqual(typed.find(fn2, '0..5'), f);
+    assert.strictEqual(typed.find(fn2, 'number'), g);
+    assert.throws(function () {typed.find(fn2, 'string')}, /TypeError: Signature not found/);
+  });
 
-  // TODO: implement support for matching non-exact signatures
-  //assert.strictEqual(typed.find(fn, ['Array']), d);
+  describe('conversions', function () {
+    var typed2 = typed.create();
+    typed2.conversions.push({
+      from: 'boolean',
+      to: 'number',
+      convert: function (x) {
+        return +x;
+      }
+    });
+
+    function f () {}
+    function g () {}
+    var fn2 = typed2('fn2', {
+      'number, string': f,
+      'boolean, string, ...string': g
+    });
+
+    it('should find a non-exact signature matching via conversions', function() {
+      assert.strictEqual(typed2.find(fn2, 'boolean, string'), f);
+      assert.strictEqual(typed2.find(fn2, 'boolean, string, string'), g);
+    });
+
+    it('should not find a signature via conversions when disallowed', function() {
+      assert.strictEqual(typed2.find(fn2, 'boolean, string, string', {conversions: false}), g);
+      assert.throws(function () {
+        typed2.find(fn2, 'boolean, string', {conversions: false});
+      }, /TypeError: Signature not found \(signature: fn2\(boolean, string\)\)/);
+    });
+
+    it('should find the same signature as invoked when matching via conversions', function() {
+      var fn3 = typed2({'number': f, 'string | boolean': g});
+      assert.strictEqual(typed2.find(fn3, 'boolean'), g);
+
+      // conversions are preferred over any
+      var fn4 = typed2({'number': f, 'any': g});
+      assert.strictEqual(typed2.find(fn4, 'boolean'), f);
+    });
+
+    it('should find signatures via the conversions with which the function was created', function() {
+      var typed3 = typed.create();
+      var fn5 = typed3({'number': f});
+
+      typed3.conversions.push({
+        from: 'boolean',
+        to: 'number',
+        convert: function (x) {
+          return +x;
+        }
+      });
+
+      assert.throws(function () {fn5(true)}, /TypeError: Unexpected type of argument/);
+      assert.throws(function () {
+        typed3.find(fn5, 'boolean');
+      }, /TypeError: Signature not found \(signature: unnamed\(boolean\)\)/);
+
+      // vice versa, a function created with a conversion keeps it
+      assert.strictEqual(typed.find(fn2, 'boolean, string'), f);
+    });
+  });
 
 
 });
@@ -0,0 +1,119 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('generic types', function () {
+
+  it('should dispatch on the element type of an Array', function() {
+    var fn = typed({
+      'Array.<number>': function (values) {
+        return 'numbers';
+      },
+      'Array.<string>': function (values) {
+        return 'strings';
+      },
+      'Array': function (values) {
+        return 'Array';
+      }
+    });
+
+    assert.equal(fn([1, 2, 3]), 'numbers');
+    assert.equal(fn(['a', 'b']), 'strings');
+    assert.equal(fn([1, 'b']), 'Array');
+    assert.equal(fn([]), 'numbers');
+  });
+
+  it('should fall through to the base type when the next arguments do not match', function() {
+    var fn = typed({
+      'Array.<number>, number': function () { return 'numbers, number'; },
+      'Array, string': function () { return 'Array, string'; },
+      'Object.<number>, number': function () { return 'Object.<number>, number'; },
+      'Object, string': function () { return 'Object, string'; }
+    });
+
+    assert.equal(fn([1], 2), 'numbers, number');
+    assert.equal(fn([1], 's'), 'Array, string');
+    assert.equal(fn(['a'], 's'), 'Array, string');
+    assert.equal(fn({a: 1}, 2), 'Object.<number>, number');
+    assert.equal(fn({a: 1}, 's'), 'Object, string');
+    assert.throws(function () {fn([1], true)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: boolean, index: 1\)/);
+  });
+
+  it('should support union element types and nested generic types', function() {
+    var fn = typed({
+      'Array.<number | string>': function () {
+        return 'mixed';
+      },
+      'Array.<Array.<number>>': function () {
+        return 'matrix';
+      }
+    });
+
+    assert.equal(fn([1, 'b']), 'mixed');
+    assert.equal(fn([[1, 2], [3, 4]]), 'matrix');
+    assert.throws(function () {fn([[1, 'b']])}, /TypeError: Unexpected type of argument in function unnamed \(expected: Array.<number \| string> or Array.<Array.<number>>, actual: Array, index: 0\)/);
+  });
+
+  it('should dispatch on the value type of an Object', function() {
+    var fn = typed({
+      'Object.<string, number>': function () {
+        return 'numbers';
+      },
+      'Object<Date>': function () {
+        return 'dates';
+      },
+      'Object': function () {
+        return 'Object';
+      }
+    });
+
+    assert.equal(fn({a: 2, b: 3}), 'numbers');
+    assert.equal(fn({a: new Date()}), 'dates');
+    assert.equal(fn({a: 'foo'}), 'Object');
+    assert.equal(fn([1, 2]), 'Object');
+  });
+
+  it('should normalize generic types', function() {
+    var fn = typed({
+      'Array<number|string>, Object . < string,Date >': function () {}
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures), ['Array.<number | string>,Object.<string, Date>']);
+  });
+
+  it('should convert the elements of generic types', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({
+      from: 'string',
+      to: 'number',
+      convert: function (x) {
+        return parseFloat(x);
+      }
+    });
+
+    var fn = typed2({
+      'Array.<number>': function (values) {
+        return values;
+      },
+      'Object.<string, number>': function (values) {
+        return values;
+      }
+    });
+
+    var values = [1, 2];
+    assert.strictEqual(fn(values), values);
+    assert.deepEqual(fn(['1', 2, '3.5']), [1, 2, 3.5]);
+    assert.deepEqual(fn({a: '1', b: 2}), {a: 1, b: 2});
+    assert.deepEqual(Object.keys(fn.signatures), ['Array.<number>', 'Object.<string, number>']);
+  });
+
+  it('should throw an error in case of an invalid generic type', function() {
+    assert.throws(function () {
+      typed({'Object.<number, string>': function () {}});
+    }, /SyntaxError: Invalid key type "number" in generic type Object.<number, string> \(expected: string\)/);
+
+    assert.throws(function () {
+      typed({'Array.<>': function () {}});
+    }, /SyntaxError: Invalid generic type Array.<>/);
+  });
+
+});
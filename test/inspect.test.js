@@ -0,0 +1,120 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('inspect', function () {
+
+  it('should return the generated source code', function() {
+    var fn = typed('fn', {
+      'number': function () {},
+      'string, boolean': function () {}
+    });
+
+    var source = typed.inspect(fn).source;
+    assert.notEqual(source.indexOf('var signature0 = refs.categories[\'signature\'][0];'), -1);
+    assert.notEqual(source.indexOf('return ' + fn.toString()), -1);
+    assert(/\n\/\/# sourceURL=typed-function\/fn\.js$/.test(source));
+  });
+
+  it('should name the source of unnamed functions', function() {
+    var fn = typed({'number': function () {}});
+
+    assert(/\n\/\/# sourceURL=typed-function\/unnamed\.js$/.test(typed.inspect(fn).source));
+  });
+
+  it('should return the source code with which the typed function was created', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) {
+      return +x;
+    }});
+
+    var fn = typed2('fn', {'number': function () {}});
+    var inspected = typed.inspect(fn);
+
+    assert.notEqual(inspected.source.indexOf('// type: boolean (convert to number)'), -1);
+    assert.deepEqual(inspected.tree.childs.map(function (child) {
+      return child.param;
+    }), ['number', 'boolean']);
+  });
+
+  it('should return the function references of the source code', function() {
+    function f1 () {}
+    function f2 () {}
+    var fn = typed({
+      'number': f1,
+      'string': f2
+    });
+
+    var refs = typed.inspect(fn).refs;
+    assert.deepEqual(Object.keys(refs).sort(), ['signature0', 'signature1', 'test0', 'test1']);
+    assert.strictEqual(refs.signature0, f1);
+    assert.strictEqual(refs.signature1, f2);
+    assert.strictEqual(refs.test0(2), true);
+    assert.strictEqual(refs.test1('foo'), true);
+  });
+
+  it('should return the node tree as plain data', function() {
+    var fn = typed({
+      'number, string': function () {},
+      '...boolean, Function': function () {},
+      'any': function () {}
+    });
+
+    function node (param, signature, childs, fallThrough, trailing) {
+      return {
+        param: param,
+        signature: signature,
+        trailing: trailing || [],
+        fallThrough: fallThrough,
+        fallible: false,
+        childs: childs
+      };
+    }
+
+    assert.deepEqual(typed.inspect(fn).tree, node(null, null, [
+      node('number', null, [
+        node('string', 'number, string', [], false)
+      ], true),
+      node('...boolean', null, [], true, ['...boolean, Function']),
+      node('any', 'any', [], false)
+    ], false));
+  });
+
+  it('should mark nodes with fallible conversions', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'string', to: 'number', fallible: true, convert: function (x) {
+      return isNaN(x) ? typed2.NO_MATCH : parseFloat(x);
+    }});
+
+    var fn = typed2({
+      'number': function () {},
+      'boolean': function () {}
+    });
+
+    var tree = typed2.inspect(fn).tree;
+    assert.strictEqual(tree.fallible, true);
+    assert.deepEqual(tree.childs.map(function (child) {
+      return [child.param, child.fallible];
+    }), [['number', false], ['boolean', false], ['string', true]]);
+  });
+
+  it('should name the generated code in stack traces', function() {
+    var fn = typed('fn', {
+      'number': function () {}
+    });
+
+    try {
+      fn('foo');
+      assert.fail('Should throw an error');
+    }
+    catch (err) {
+      assert(/typed-function\/fn\.js/.test(err.stack));
+    }
+  });
+
+  it('should throw an error in case of a function which is no typed-function', function() {
+    assert.throws(function () {
+      typed.inspect(function () {});
+    }, /TypeError: Function is no typed-function/);
+  });
+
+});
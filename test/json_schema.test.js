@@ -0,0 +1,197 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('toJSONSchema', function () {
+
+  var SCHEMA = 'https://json-schema.org/draft/2020-12/schema';
+
+  function schemaOf (signature, typed2) {
+    var signatures = {};
+    signatures[signature] = function () {};
+    var fn = (typed2 || typed)(signatures);
+    var schemas = (typed2 || typed).toJSONSchema(fn);
+    return schemas[Object.keys(schemas)[0]];
+  }
+
+  it('should create a tuple schema for each signature', function() {
+    var fn = typed({
+      'number, string': function () {},
+      'boolean': function () {}
+    });
+
+    assert.deepEqual(typed.toJSONSchema(fn), {
+      'number,string': {
+        $schema: SCHEMA,
+        type: 'array',
+        prefixItems: [{type: 'number'}, {type: 'string'}],
+        items: false,
+        minItems: 2,
+        maxItems: 2
+      },
+      'boolean': {
+        $schema: SCHEMA,
+        type: 'array',
+        prefixItems: [{type: 'boolean'}],
+        items: false,
+        minItems: 1,
+        maxItems: 1
+      }
+    });
+  });
+
+  it('should map types to schemas', function() {
+    assert.deepEqual(schemaOf('Date, RegExp, Array, Object, null, any, Function').prefixItems, [
+      {type: 'string', format: 'date-time'},
+      {type: 'string', format: 'regex'},
+      {type: 'array'},
+      {type: 'object'},
+      {type: 'null'},
+      {},
+      {}
+    ]);
+
+    assert.deepEqual(schemaOf('?string, "linear", 0..10').prefixItems, [
+      {anyOf: [{type: 'string'}, {type: 'null'}]},
+      {const: 'linear'},
+      {type: 'number', minimum: 0, maximum: 10}
+    ]);
+
+    assert.deepEqual(schemaOf('Array.<number>, Object.<string, boolean>, {name: string, age?: number}').prefixItems, [
+      {type: 'array', items: {type: 'number'}},
+      {type: 'object', additionalProperties: {type: 'boolean'}},
+      {type: 'object', properties: {name: {type: 'string'}, age: {type: 'number'}}, required: ['name']}
+    ]);
+  });
+
+  it('should use schemas of custom types', function() {
+    var typed2 = typed.create();
+    typed2.addType({
+      name: 'Person',
+      test: function (x) { return x && x.isPerson; },
+      schema: {type: 'object', properties: {name: {type: 'string'}}}
+    });
+    typed2.addType({name: 'Matrix', test: function (x) { return x && x.isMatrix; }});
+
+    var fn = typed2({'Person, Matrix': function () {}});
+
+    assert.deepEqual(typed2.toJSONSchema(fn)['Person,Matrix'].prefixItems, [
+      {type: 'object', properties: {name: {type: 'string'}}},
+      {}
+    ]);
+    assert.deepEqual(typed2.toJSONSchema(fn, {types: {Matrix: {type: 'array'}}})['Person,Matrix'].prefixItems, [
+      {type: 'object', properties: {name: {type: 'string'}}},
+      {type: 'array'}
+    ]);
+  });
+
+  it('should describe union types of a declaration via anyOf', function() {
+    var fn = typed({
+      'number | string, boolean': function () {},
+      'Date': function () {}
+    });
+
+    assert.deepEqual(typed.toJSONSchema(fn), {
+      'number|string,boolean': {
+        $schema: SCHEMA,
+        type: 'array',
+        prefixItems: [{anyOf: [{type: 'number'}, {type: 'string'}]}, {type: 'boolean'}],
+        items: false,
+        minItems: 2,
+        maxItems: 2
+      },
+      'Date': {
+        $schema: SCHEMA,
+        type: 'array',
+        prefixItems: [{type: 'string', format: 'date-time'}],
+        items: false,
+        minItems: 1,
+        maxItems: 1
+      }
+    });
+  });
+
+  it('should keep union types when merging typed functions', function() {
+    var fn = typed(typed({'number | string': function () {}}), typed({'boolean': function () {}}));
+
+    assert.deepEqual(Object.keys(typed.toJSONSchema(fn)), ['number|string', 'boolean']);
+    assert.deepEqual(typed.toJSONSchema(fn)['number|string'].prefixItems, [
+      {anyOf: [{type: 'number'}, {type: 'string'}]}
+    ]);
+  });
+
+  it('should describe optional parameters and their default value', function() {
+    assert.deepEqual(schemaOf('string, [number = 10], [boolean]'), {
+      $schema: SCHEMA,
+      type: 'array',
+      prefixItems: [{type: 'string'}, {type: 'number', default: 10}, {type: 'boolean'}],
+      items: false,
+      minItems: 1,
+      maxItems: 3
+    });
+  });
+
+  it('should describe variable arguments', function() {
+    assert.deepEqual(schemaOf('string, ...number | boolean'), {
+      $schema: SCHEMA,
+      type: 'array',
+      prefixItems: [{type: 'string'}],
+      items: {anyOf: [{type: 'number'}, {type: 'boolean'}]},
+      minItems: 2
+    });
+
+    assert.deepEqual(schemaOf('...any{2,3}'), {
+      $schema: SCHEMA,
+      type: 'array',
+      prefixItems: [],
+      items: {},
+      minItems: 2,
+      maxItems: 3
+    });
+  });
+
+  it('should describe variable arguments followed by trailing parameters', function() {
+    assert.deepEqual(schemaOf('...number{1,2}, string'), {
+      $schema: SCHEMA,
+      anyOf: [
+        {type: 'array', prefixItems: [{type: 'number'}, {type: 'string'}], items: false, minItems: 2, maxItems: 2},
+        {type: 'array', prefixItems: [{type: 'number'}, {type: 'number'}, {type: 'string'}], items: false, minItems: 3, maxItems: 3}
+      ]
+    });
+
+    assert.deepEqual(schemaOf('boolean, ...number, string'), {
+      $schema: SCHEMA,
+      type: 'array',
+      prefixItems: [{type: 'boolean'}],
+      items: {anyOf: [{type: 'number'}, {type: 'string'}]},
+      minItems: 3
+    });
+  });
+
+  it('should describe conversions as alternative inputs', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) {
+      return +x;
+    }});
+
+    assert.deepEqual(schemaOf('number, ...number', typed2).prefixItems, [
+      {anyOf: [{type: 'number'}, {type: 'boolean'}]}
+    ]);
+    assert.deepEqual(schemaOf('number, ...number', typed2).items, {
+      anyOf: [{type: 'number'}, {type: 'boolean'}]
+    });
+  });
+
+  it('should not share schemas between calls', function() {
+    var schema = schemaOf('number');
+    schema.prefixItems[0].type = 'string';
+
+    assert.deepEqual(schemaOf('number').prefixItems, [{type: 'number'}]);
+  });
+
+  it('should throw an error in case of a function which is no typed-function', function() {
+    assert.throws(function () {
+      typed.toJSONSchema(function () {});
+    }, /TypeError: Function is no typed-function/);
+  });
+
+});
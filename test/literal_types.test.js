@@ -0,0 +1,111 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('literal types', function () {
+
+  it('should create a typed function with string literals', function() {
+    var fn = typed({
+      '"linear" | "cubic"': function (mode) {
+        return 'mode:' + mode;
+      },
+      'string': function (str) {
+        return 'string:' + str;
+      }
+    });
+
+    assert.equal(fn('linear'), 'mode:linear');
+    assert.equal(fn('cubic'), 'mode:cubic');
+    assert.equal(fn('foo'), 'string:foo');
+  });
+
+  it('should order literals ahead of other types regardless of declaration order', function() {
+    var fn = typed({
+      'string': function () { return 'string'; },
+      'number': function () { return 'number'; },
+      '0..10': function () { return '0..10'; },
+      '2': function () { return '2'; },
+      '"linear"': function () { return '"linear"'; }
+    });
+
+    assert.equal(fn('linear'), '"linear"');
+    assert.equal(fn('cubic'), 'string');
+    assert.equal(fn(2), '2');
+    assert.equal(fn(0), '0..10');
+    assert.equal(fn(10), '0..10');
+    assert.equal(fn(2.5), '0..10');
+    assert.equal(fn(-1), 'number');
+    assert.equal(fn(10.5), 'number');
+  });
+
+  it('should fall through to other types when the next arguments do not match', function() {
+    var fn = typed({
+      '"a", number': function () { return '"a", number'; },
+      'string, string': function () { return 'string, string'; },
+      '0..5, number': function () { return '0..5, number'; },
+      'number, string': function () { return 'number, string'; }
+    });
+
+    assert.equal(fn('a', 2), '"a", number');
+    assert.equal(fn('a', 's'), 'string, string');
+    assert.equal(fn('b', 's'), 'string, string');
+    assert.equal(fn(1, 2), '0..5, number');
+    assert.equal(fn(1, 's'), 'number, string');
+    assert.strictEqual(typed.find(fn, 'string, string'), fn.signatures['string,string']);
+
+    assert.throws(function () {fn('a', true)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: boolean, index: 1\)/);
+    assert.throws(function () {fn(1, true)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: boolean, index: 1\)/);
+  });
+
+  it('should fall through to other types when variable arguments do not match', function() {
+    var fn = typed({
+      '..."a"': function () { return '..."a"'; },
+      '...string': function () { return '...string'; }
+    });
+
+    assert.equal(fn('a', 'a'), '..."a"');
+    assert.equal(fn('a', 'b'), '...string');
+    assert.throws(function () {fn('a', 2)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: number, index: 1\)/);
+  });
+
+  it('should normalize literal types', function() {
+    var fn = typed({
+      "'linear', +2, 0 .. 1.5": function () {}
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures), ['"linear",2,0..1.5']);
+  });
+
+  it('should support literals containing separators', function() {
+    var fn = typed({
+      '"a, b" | "c | d", \'it\\\'s\'': function (a, b) {
+        return a + ';' + b;
+      }
+    });
+
+    assert.equal(fn('a, b', 'it\'s'), 'a, b;it\'s');
+    assert.equal(fn('c | d', 'it\'s'), 'c | d;it\'s');
+  });
+
+  it('should list the allowed literals in error messages', function() {
+    var fn = typed('interpolate', {
+      '"linear" | "cubic", 0..1': function () {}
+    });
+
+    assert.throws(function () {fn('foo', 0)}, /TypeError: Unexpected type of argument in function interpolate \(expected: "linear" or "cubic", actual: string, index: 0\)/);
+    assert.throws(function () {fn('linear', 2)}, /TypeError: Unexpected type of argument in function interpolate \(expected: 0..1, actual: number, index: 1\)/);
+
+    try {
+      fn('foo', 0);
+    }
+    catch (err) {
+      assert.deepEqual(err.data.expected, ['"linear"', '"cubic"']);
+    }
+  });
+
+  it('should throw an error in case of an invalid range', function() {
+    assert.throws(function () {
+      typed({'10..0': function () {}});
+    }, /SyntaxError: Invalid range 10..0 \(lower bound is larger than upper bound\)/);
+  });
+
+});
@@ -0,0 +1,118 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('mismatch handler', function () {
+
+  function createTyped () {
+    var typed2 = typed.create();
+    typed2.config.onMismatch = function (info, args) {
+      return {info: info, args: args};
+    };
+    return typed2;
+  }
+
+  it('should return the result of the handler instead of throwing', function() {
+    var typed2 = createTyped();
+    var fn = typed2('fn', {
+      'number': function (a) {
+        return a * 2;
+      }
+    });
+
+    assert.strictEqual(fn(2), 4);
+
+    var result = fn('foo');
+    assert(!(result.info instanceof Error));
+    assert.deepEqual(result.info, {
+      message: 'Unexpected type of argument in function fn (expected: number, actual: string, index: 0)',
+      fn: 'fn',
+      index: 0,
+      actual: 'foo',
+      expected: ['number']
+    });
+    assert.deepEqual(result.args, ['foo']);
+  });
+
+  it('should invoke the handler in case of too few or too many arguments', function() {
+    var typed2 = createTyped();
+    var fn = typed2('fn', {
+      'number, string': function () {
+        return 'ok';
+      }
+    });
+
+    var tooFew = fn(2);
+    assert.equal(tooFew.info.message, 'Too few arguments in function fn (expected: string, index: 1)');
+    assert.deepEqual(tooFew.args, [2]);
+
+    var tooMany = fn(2, 'foo', true);
+    assert.equal(tooMany.info.message, 'Too many arguments in function fn (expected: 2, actual: 3)');
+    assert.strictEqual(tooMany.info.expected, null);
+    assert.deepEqual(tooMany.args, [2, 'foo', true]);
+  });
+
+  it('should invoke the handler in case of a mismatch in variable arguments', function() {
+    var typed2 = createTyped();
+    var fn = typed2('fn', {
+      '...number': function (values) {
+        return values;
+      }
+    });
+
+    assert.deepEqual(fn(1, 2), [1, 2]);
+
+    var result = fn(1, 'foo');
+    assert.equal(result.info.message, 'Unexpected type of argument in function fn (expected: number, actual: string, index: 1)');
+    assert.strictEqual(result.info.index, 1);
+    assert.deepEqual(result.args, [1, 'foo']);
+  });
+
+  it('should invoke the handler in case of a mismatch in a property', function() {
+    var typed2 = createTyped();
+    var fn = typed2('fn', {
+      '{name: string}': function (obj) {
+        return obj.name;
+      }
+    });
+
+    var result = fn({name: 2});
+    assert.equal(result.info.property, 'name');
+    assert.strictEqual(result.info.actual, 2);
+    assert.deepEqual(result.info.expected, ['string']);
+  });
+
+  it('should not affect other instances of typed-function', function() {
+    createTyped();
+    var fn = typed({
+      'number': function (a) {
+        return a;
+      }
+    });
+
+    assert.throws(function () {fn('foo')}, /TypeError: Unexpected type of argument/);
+  });
+
+  it('should only generate code invoking the handler when configured', function() {
+    var signatures = {
+      'number, string': function () {}
+    };
+
+    var fn1 = typed(signatures);
+    assert(/throw createError\(/.test(fn1.toString()));
+    assert.strictEqual(fn1.toString().indexOf('onMismatch'), -1);
+
+    var fn2 = createTyped()(signatures);
+    assert(/return onMismatch\(createError\(/.test(fn2.toString()));
+    assert.strictEqual(fn2.toString().indexOf('throw '), -1);
+  });
+
+  it('should throw an error in case of an invalid handler', function() {
+    var typed2 = typed.create();
+    typed2.config.onMismatch = 'foo';
+
+    assert.throws(function () {
+      typed2({'number': function () {}});
+    }, /TypeError: Function expected for config.onMismatch/);
+  });
+
+});
@@ -0,0 +1,85 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('nullable types', function () {
+
+  it('should create a typed function with a nullable type', function() {
+    var fn = typed({
+      '?Date': function (value) {
+        return value === null ? 'null' : 'Date';
+      }
+    });
+
+    assert.equal(fn(null), 'null');
+    assert.equal(fn(new Date()), 'Date');
+    assert.throws(function () {fn(undefined)}, /TypeError: Unexpected type of argument in function unnamed \(expected: \?Date, actual: undefined, index: 0\)/);
+    assert.throws(function () {fn('foo')}, /TypeError: Unexpected type of argument in function unnamed \(expected: \?Date, actual: string, index: 0\)/);
+  });
+
+  it('should normalize nullable types', function() {
+    var fn = typed({
+      'string, ? Object': function () {}
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures), ['string,?Object']);
+  });
+
+  it('should order nullable types after their non-nullable type and null', function() {
+    var fn = typed({
+      '?Date': function () { return '?Date'; },
+      '?Object': function () { return '?Object'; },
+      'null': function () { return 'null'; },
+      'Date': function () { return 'Date'; },
+      'Object': function () { return 'Object'; }
+    });
+
+    assert.equal(fn(new Date()), 'Date');
+    assert.equal(fn({}), 'Object');
+    assert.equal(fn(null), 'null');
+  });
+
+  it('should support nullable types in union types and variable arguments', function() {
+    var fn = typed({
+      'string | ?number, ...?boolean': function (a, values) {
+        return values;
+      }
+    });
+
+    assert.deepEqual(fn(null, true, null), [true, null]);
+    assert.deepEqual(fn('foo', null), [null]);
+    assert.throws(function () {fn(null, 'foo')}, /TypeError: Unexpected type of argument in function unnamed \(expected: \?boolean, actual: string, index: 1\)/);
+  });
+
+  it('should apply conversions to a nullable type', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({
+      from: 'number',
+      to: 'Date',
+      convert: function (x) {
+        return new Date(x);
+      }
+    });
+
+    var fn = typed2({
+      '?Date': function (value) {
+        return value;
+      }
+    });
+
+    assert.strictEqual(fn(null), null);
+    assert(fn(0) instanceof Date);
+  });
+
+  it('should ignore nullable types listed in typed.ignore', function() {
+    var typed2 = typed.create();
+    typed2.ignore = ['Date'];
+
+    var fn = typed2({
+      'number': function () {},
+      '?Date': function () {}
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures), ['number']);
+  });
+
+});
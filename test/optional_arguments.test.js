@@ -0,0 +1,220 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('optional arguments', function () {
+
+  it('should create a typed function with an optional argument (brackets)', function() {
+    var fn = typed({
+      'string, [number]': function (str, num) {
+        assert.equal(arguments.length, 2);
+        return str + ':' + num;
+      }
+    });
+
+    assert.equal(fn('foo'), 'foo:undefined');
+    assert.equal(fn('foo', 2), 'foo:2');
+    assert.throws(function () {fn('foo', 'bar')}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 1\)/);
+    assert.throws(function () {fn('foo', 2, 3)}, /TypeError: Too many arguments in function unnamed \(expected: 2, actual: 3\)/);
+    assert.throws(function () {fn()}, /TypeError: Too few arguments in function unnamed \(expected: string, index: 0\)/);
+  });
+
+  it('should create a typed function with an optional argument (equal sign)', function() {
+    var fn = typed({
+      'string, number=': function (str, num) {
+        return str + ':' + num;
+      }
+    });
+
+    assert.equal(fn('foo'), 'foo:undefined');
+    assert.equal(fn('foo', 2), 'foo:2');
+  });
+
+  it('should create a typed function with multiple optional arguments', function() {
+    var fn = typed({
+      'boolean, [number], [string | Date]': function (a, b, c) {
+        return [a, b, c];
+      }
+    });
+
+    assert.deepEqual(fn(true), [true, undefined, undefined]);
+    assert.deepEqual(fn(true, 2), [true, 2, undefined]);
+    assert.deepEqual(fn(true, 2, 'foo'), [true, 2, 'foo']);
+    assert.throws(function () {fn(true, 'foo')}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 1\)/);
+  });
+
+  it('should combine optional arguments with other signatures', function() {
+    var fn = typed({
+      'number, [number]': function (a, b) {
+        return 'number, [number]';
+      },
+      'number, string': function (a, b) {
+        return 'number, string';
+      }
+    });
+
+    assert.equal(fn(2), 'number, [number]');
+    assert.equal(fn(2, 3), 'number, [number]');
+    assert.equal(fn(2, 'foo'), 'number, string');
+  });
+
+  it('should handle trailing undefined arguments like omitted arguments', function() {
+    var fn = typed({
+      'boolean, [number], [string]': function (a, b, c) {
+        return [a, b, c];
+      }
+    });
+
+    assert.deepEqual(fn(true, undefined), [true, undefined, undefined]);
+    assert.deepEqual(fn(true, undefined, undefined), [true, undefined, undefined]);
+    assert.deepEqual(fn(true, 2, undefined), [true, 2, undefined]);
+    assert.throws(function () {fn(true, undefined, 'foo')}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: undefined, index: 1\)/);
+    assert.throws(function () {fn(true, undefined, undefined, undefined)}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: undefined, index: 1\)/);
+  });
+
+  it('should prefer a signature accepting undefined over omitting arguments', function() {
+    var fn = typed({
+      'string, [number]': function (a, b) {
+        return 'string, [number]';
+      },
+      'string, undefined': function (a, b) {
+        return 'string, undefined';
+      }
+    });
+
+    assert.equal(fn('foo'), 'string, [number]');
+    assert.equal(fn('foo', undefined), 'string, undefined');
+  });
+
+  it('should list optional arguments in the signatures', function() {
+    function f () {}
+    var fn = typed({
+      'string | boolean, [number]': f
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures).sort(), ['boolean,[number]', 'string,[number]']);
+    assert.strictEqual(typed.find(fn, 'string, [number]'), f);
+  });
+
+  it('should keep optional arguments when merging typed functions', function() {
+    var fn1 = typed({'string, [number]': function (a, b) { return 'string:' + b; }});
+    var fn2 = typed({'boolean': function (a) { return 'boolean'; }});
+
+    var fn3 = typed(fn1, fn2);
+
+    assert.equal(fn3('foo'), 'string:undefined');
+    assert.equal(fn3('foo', 2), 'string:2');
+    assert.equal(fn3(true), 'boolean');
+  });
+
+  it('should throw an error in case of conflicting optional arguments', function() {
+    assert.throws(function () {
+      typed({
+        'number, [number]': function () {},
+        'number': function () {}
+      });
+    }, /Error: Signature "number" is defined twice/);
+  });
+
+  it('should throw an error in case of a required argument after an optional argument', function() {
+    assert.throws(function () {
+      typed({'[number], string': function () {}});
+    }, /SyntaxError: Unexpected required parameter "string" after optional parameters/);
+
+    assert.throws(function () {
+      typed({'[number], ...string': function () {}});
+    }, /SyntaxError: Unexpected required parameter "...string" after optional parameters/);
+  });
+
+  describe('default values', function () {
+
+    it('should pass the default value of an omitted argument', function() {
+      var fn = typed({
+        'string, number = 10': function (str, num) {
+          return str + ':' + num;
+        }
+      });
+
+      assert.equal(fn('foo'), 'foo:10');
+      assert.equal(fn('foo', 2), 'foo:2');
+    });
+
+    it('should pass the default value of an argument which is undefined', function() {
+      var fn = typed({
+        'string, number = 10, [string = "bar"]': function (str, num, str2) {
+          return str + ':' + num + ':' + str2;
+        }
+      });
+
+      assert.equal(fn('foo', undefined), 'foo:10:bar');
+      assert.equal(fn('foo', undefined, undefined), 'foo:10:bar');
+      assert.equal(fn('foo', 2, undefined), 'foo:2:bar');
+    });
+
+    it('should pass default values of multiple omitted arguments', function() {
+      var fn = typed({
+        'boolean, [string = "a, b | c"], [any = {"x": [1, 2]}], [number=]': function (a, b, c, d) {
+          return [a, b, c, d];
+        }
+      });
+
+      assert.deepEqual(fn(true), [true, 'a, b | c', {x: [1, 2]}, undefined]);
+      assert.deepEqual(fn(true, 'foo'), [true, 'foo', {x: [1, 2]}, undefined]);
+      assert.deepEqual(fn(true, 'foo', null, 2), [true, 'foo', null, 2]);
+
+      // default values of type Object are not shared between calls
+      assert.notStrictEqual(fn(true)[2], fn(true)[2]);
+    });
+
+    it('should convert a default value of a different type', function() {
+      var typed2 = typed.create();
+      typed2.addConversion({
+        from: 'string',
+        to: 'Date',
+        convert: function (x) {
+          return new Date(x);
+        }
+      });
+
+      var fn = typed2({
+        '[Date = "2016-01-01T00:00:00Z"]': function (date) {
+          return date;
+        }
+      });
+
+      assert(fn() instanceof Date);
+      assert.strictEqual(fn().valueOf(), Date.UTC(2016, 0, 1));
+    });
+
+    it('should list default values in the signatures', function() {
+      var fn = typed({
+        'string, number = 10': function () {}
+      });
+
+      assert.deepEqual(Object.keys(fn.signatures), ['string,[number=10]']);
+    });
+
+    it('should keep default values when merging typed functions', function() {
+      var fn1 = typed({'string, number = 10': function (a, b) { return b; }});
+      var fn2 = typed({'boolean': function (a) { return 'boolean'; }});
+
+      var fn3 = typed(fn1, fn2);
+
+      assert.strictEqual(fn3('foo'), 10);
+      assert.strictEqual(fn3('foo', 2), 2);
+    });
+
+    it('should throw an error in case of an invalid default value', function() {
+      assert.throws(function () {
+        typed({'string, number = foo': function () {}});
+      }, /SyntaxError: Invalid default value "foo"/);
+    });
+
+    it('should throw an error in case of a default value not matching the parameter', function() {
+      assert.throws(function () {
+        typed({'string, number = "foo"': function () {}});
+      }, /TypeError: Default value "foo" does not match parameter "number"/);
+    });
+
+  });
+
+});
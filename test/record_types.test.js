@@ -0,0 +1,95 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('record types', function () {
+
+  it('should create a typed function with a record type', function() {
+    var fn = typed({
+      '{name: string, age: number}': function (person) {
+        return person.name + ':' + person.age;
+      }
+    });
+
+    assert.equal(fn({name: 'Joe', age: 42}), 'Joe:42');
+    assert.equal(fn({name: 'Joe', age: 42, extra: true}), 'Joe:42');
+    assert.throws(function () {fn({name: 'Joe'})}, /TypeError: Unexpected type of property age in function unnamed \(expected: number, actual: undefined, index: 0\)/);
+    assert.throws(function () {fn('Joe')}, /TypeError: Unexpected type of argument in function unnamed \(expected: \{name: string, age: number}, actual: string, index: 0\)/);
+  });
+
+  it('should support optional properties', function() {
+    var fn = typed({
+      '{name: string, age?: number}': function (person) {
+        return person.name + ':' + person.age;
+      }
+    });
+
+    assert.equal(fn({name: 'Joe'}), 'Joe:undefined');
+    assert.equal(fn({name: 'Joe', age: 42}), 'Joe:42');
+    assert.throws(function () {fn({name: 'Joe', age: '42'})}, /TypeError: Unexpected type of property age in function unnamed \(expected: number, actual: string, index: 0\)/);
+  });
+
+  it('should support nested records and name the path of the mismatching property', function() {
+    var fn = typed('fn', {
+      'string, {options: {age: number | "unknown"}}': function (str, obj) {
+        return obj.options.age;
+      }
+    });
+
+    assert.equal(fn('foo', {options: {age: 42}}), 42);
+    assert.equal(fn('foo', {options: {age: 'unknown'}}), 'unknown');
+    assert.throws(function () {fn('foo', {options: {age: 'foo'}})}, /TypeError: Unexpected type of property options.age in function fn \(expected: number or "unknown", actual: string, index: 1\)/);
+    assert.throws(function () {fn('foo', {options: null})}, /TypeError: Unexpected type of property options in function fn \(expected: \{age: number \| "unknown"}, actual: null, index: 1\)/);
+
+    try {
+      fn('foo', {options: {age: 'foo'}});
+    }
+    catch (err) {
+      assert.strictEqual(err.data.property, 'options.age');
+      assert.strictEqual(err.data.actual, 'foo');
+      assert.deepEqual(err.data.expected, ['number', '"unknown"']);
+    }
+  });
+
+  it('should order record types before Object', function() {
+    var fn = typed({
+      'Object': function () { return 'Object'; },
+      '{x: number}': function () { return 'record'; },
+      'Array': function () { return 'Array'; }
+    });
+
+    assert.equal(fn({x: 2}), 'record');
+    assert.equal(fn({y: 2}), 'Object');
+    assert.equal(fn([]), 'Array');
+  });
+
+  it('should fall through to Object when the next arguments do not match', function() {
+    var fn = typed({
+      '{a: number}, number': function () { return 'record, number'; },
+      'Object, string': function () { return 'Object, string'; }
+    });
+
+    assert.equal(fn({a: 1}, 2), 'record, number');
+    assert.equal(fn({a: 1}, 's'), 'Object, string');
+    assert.equal(fn({b: 1}, 's'), 'Object, string');
+    assert.throws(function () {fn({a: 1}, true)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: boolean, index: 1\)/);
+  });
+
+  it('should normalize record types', function() {
+    var fn = typed({
+      '{ a:number|string , "b c"? : any }': function () {}
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures), ['{a: number | string, "b c"?: any}']);
+  });
+
+  it('should throw an error in case of an invalid record type', function() {
+    assert.throws(function () {
+      typed({'{name}': function () {}});
+    }, /SyntaxError: Invalid property "name" in record type \{name}/);
+
+    assert.throws(function () {
+      typed({'{name: foo}': function () {}});
+    }, /Error: Unknown type "foo"/);
+  });
+
+});
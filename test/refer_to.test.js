@@ -0,0 +1,171 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('referTo', function () {
+
+  it('should refer to another signature', function() {
+    function addNumbers (a, b) {
+      return a + b;
+    }
+
+    var implementations = [];
+    var fn = typed({
+      'number, number': addNumbers,
+      'number, string': typed.referTo('number, number', function (impl) {
+        implementations.push(impl);
+        return function (a, b) {
+          return impl(a, parseFloat(b));
+        };
+      })
+    });
+
+    assert.strictEqual(fn(2, 3), 5);
+    assert.strictEqual(fn(2, '3.5'), 5.5);
+    assert.deepEqual(implementations, [addNumbers]);
+  });
+
+  it('should refer to multiple signatures', function() {
+    var fn = typed({
+      'number': function (x) {
+        return 'number:' + x;
+      },
+      'string': function (x) {
+        return 'string:' + x;
+      },
+      'number, string': typed.referTo('number', 'string', function (fnNumber, fnString) {
+        return function (a, b) {
+          return fnNumber(a) + ',' + fnString(b);
+        };
+      })
+    });
+
+    assert.equal(fn(2, 'foo'), 'number:2,string:foo');
+  });
+
+  it('should normalize the referenced signatures', function() {
+    var fn = typed({
+      'number, [string]': function (a, b) {
+        return a + ':' + b;
+      },
+      'boolean': typed.referTo('number,[ string ]', function (impl) {
+        return function (x) {
+          return impl(+x, 'bool');
+        };
+      })
+    });
+
+    assert.equal(fn(true), '1:bool');
+  });
+
+  it('should refer to a signature referring to the typed function itself', function() {
+    var fn = typed({
+      'number': function (x) {
+        return x * 2;
+      },
+      'Array': typed.referToSelf(function (self) {
+        return function (arr) {
+          return arr.map(function (x) {
+            return self(x);
+          });
+        };
+      }),
+      'Array, string': typed.referTo('Array', function (impl) {
+        return function (arr, str) {
+          return impl(arr).join(str);
+        };
+      })
+    });
+
+    assert.equal(fn([1, [2, 3]], '-'), '2-4,6');
+  });
+
+  it('should resolve references to references in any order', function() {
+    var implementations = {};
+    var fn = typed({
+      'Array, string': typed.referTo('Array', function (impl) {
+        implementations.arrayString = impl;
+        return function (arr, str) {
+          return impl(arr).join(str);
+        };
+      }),
+      'Array': typed.referTo('number', function (impl) {
+        implementations.array = impl;
+        return function (arr) {
+          return arr.map(impl);
+        };
+      }),
+      'number': function (x) {
+        return x * 2;
+      }
+    });
+
+    assert.equal(fn([1, 2], '-'), '2-4');
+    assert.strictEqual(implementations.array, fn.signatures['number']);
+    assert.strictEqual(implementations.arrayString, fn.signatures['Array']);
+  });
+
+  it('should resolve circular references', function() {
+    var fn = typed({
+      'number': typed.referTo('string', function (impl) {
+        return function (x) {
+          return x > 0 ? impl(String(x - 1)) : 'done';
+        };
+      }),
+      'string': typed.referTo('number', function (impl) {
+        return function (x) {
+          return impl(parseFloat(x));
+        };
+      })
+    });
+
+    assert.equal(fn(3), 'done');
+    assert.equal(fn('3'), 'done');
+  });
+
+  it('should keep referring to the signature after merging', function() {
+    var fn1 = typed({
+      'number, number': function (a, b) {
+        return a + b;
+      },
+      'number, string': typed.referTo('number, number', function (impl) {
+        return function (a, b) {
+          return impl(a, parseFloat(b));
+        };
+      })
+    });
+    var fn2 = typed({
+      'boolean': function (x) {
+        return x;
+      }
+    });
+
+    var merged = typed(fn1, fn2);
+    assert.strictEqual(merged(2, '3'), 5);
+    assert.strictEqual(merged(true), true);
+  });
+
+  it('should throw an error when the referenced signature does not exist', function() {
+    assert.throws(function () {
+      typed({
+        'number': typed.referTo('string', function (impl) {
+          return impl;
+        })
+      });
+    }, /Error: Referenced signature "string" not found/);
+  });
+
+  it('should throw an error in case of invalid arguments', function() {
+    assert.throws(function () {typed.referTo('number')}, /TypeError: Callback function expected as last argument/);
+    assert.throws(function () {typed.referTo(2, function () {})}, /TypeError: Signatures \(strings\) expected in all arguments except the last one/);
+
+    assert.throws(function () {
+      typed({
+        'number': function () {},
+        'string': typed.referTo('number', function (impl) {
+          return 'foo';
+        })
+      });
+    }, /TypeError: Function expected as return value of the referTo callback/);
+  });
+
+});
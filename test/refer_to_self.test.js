@@ -0,0 +1,138 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('referToSelf', function () {
+
+  it('should refer to the typed function itself', function() {
+    var add = typed('add', {
+      'number, number': function (a, b) {
+        return a + b;
+      },
+      'Array, Array': typed.referToSelf(function (self) {
+        return function (a, b) {
+          return a.map(function (ai, i) {
+            return self(ai, b[i]);
+          });
+        };
+      })
+    });
+
+    assert.deepEqual(add([1, [2, 3]], [4, [5, 6]]), [5, [7, 9]]);
+  });
+
+  it('should invoke the callback once with the typed function', function() {
+    var selfs = [];
+    var fn = typed({
+      'string | boolean': typed.referToSelf(function (self) {
+        selfs.push(self);
+        return function (x) {
+          return 'x:' + x;
+        };
+      })
+    });
+
+    assert.equal(fn('foo'), 'x:foo');
+    assert.equal(fn(true), 'x:true');
+    assert.deepEqual(selfs, [fn]);
+  });
+
+  it('should refer to the merged function after merging', function() {
+    var add = typed('add', {
+      'number, number': function (a, b) {
+        return a + b;
+      },
+      'Array, Array': typed.referToSelf(function (self) {
+        return function (a, b) {
+          return a.map(function (ai, i) {
+            return self(ai, b[i]);
+          });
+        };
+      })
+    });
+
+    var addString = typed('add', {
+      'string, string': function (a, b) {
+        return a + b;
+      }
+    });
+
+    var merged = typed(add, addString);
+
+    assert.deepEqual(merged(['a', 1], ['b', 2]), ['ab', 3]);
+    assert.throws(function () {add(['a'], ['b'])}, /TypeError: Unexpected type of argument in function add/);
+
+    // merging twice the same reference is fine
+    var merged2 = typed(merged, add);
+    assert.deepEqual(merged2(['a'], ['b']), ['ab']);
+  });
+
+  it('should find a signature referring to the typed function itself', function() {
+    var fn = typed({
+      'number': function (x) {
+        return x;
+      },
+      'Array': typed.referToSelf(function (self) {
+        return function (arr) {
+          return arr.map(function (x) {
+            return self(x);
+          });
+        };
+      })
+    });
+
+    assert.deepEqual(typed.find(fn, 'Array')([1, 2]), [1, 2]);
+  });
+
+  it('should invoke the implementation directly', function() {
+    var implementation;
+    var fn = typed({
+      'number': function (x) {
+        return x;
+      },
+      'Array': typed.referToSelf(function (self) {
+        implementation = function (arr) {
+          return arr.map(function (x) {
+            return self(x);
+          });
+        };
+        return implementation;
+      })
+    });
+
+    assert.strictEqual(fn.signatures['Array'], implementation);
+    assert.strictEqual(typed.find(fn, 'Array'), implementation);
+    assert.deepEqual(Object.keys(implementation), []);
+    assert.strictEqual(typed.inspect(fn).refs.signature1, implementation);
+    assert.deepEqual(fn([1, 2]), [1, 2]);
+  });
+
+  it('should accept references in an array with signatures', function() {
+    var fn = typed([
+      ['number', function (x) {
+        return x * 2;
+      }],
+      ['Array', typed.referToSelf(function (self) {
+        return function (arr) {
+          return arr.map(function (x) {
+            return self(x);
+          });
+        };
+      })]
+    ]);
+
+    assert.deepEqual(fn([1, 2]), [2, 4]);
+  });
+
+  it('should throw an error in case of an invalid callback', function() {
+    assert.throws(function () {typed.referToSelf('foo')}, /TypeError: Callback function expected as first argument/);
+
+    assert.throws(function () {
+      typed({
+        'number': typed.referToSelf(function (self) {
+          return 'foo';
+        })
+      });
+    }, /TypeError: Function expected as return value of the referToSelf callback/);
+  });
+
+});
@@ -0,0 +1,127 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('resolve', function () {
+
+  function a () {}
+  function b () {}
+  function c () {}
+
+  var typed2 = typed.create();
+  typed2.conversions.push({
+    from: 'boolean',
+    to: 'number',
+    convert: function (x) {
+      return +x;
+    }
+  });
+
+  var fn = typed2('fn', {
+    'number, string': a,
+    'string, number = 10': b,
+    'Date, ...number': c
+  });
+
+  it('should resolve the signature invoked with given arguments', function() {
+    assert.deepEqual(typed2.resolve(fn, [2, 'foo']), {
+      signature: 'number,string',
+      fn: a,
+      convertedArgs: [2, 'foo'],
+      conversionsApplied: []
+    });
+  });
+
+  it('should not invoke the function of the signature', function() {
+    var invoked = false;
+    var fn2 = typed({
+      'number': function () {
+        invoked = true;
+      }
+    });
+
+    assert.strictEqual(typed.resolve(fn2, [2]).fn, fn2.signatures['number']);
+    assert.strictEqual(invoked, false);
+  });
+
+  it('should resolve a signature with conversions', function() {
+    assert.deepEqual(typed2.resolve(fn, [true, 'foo']), {
+      signature: 'number,string',
+      fn: a,
+      convertedArgs: [1, 'foo'],
+      conversionsApplied: [{index: 0, from: 'boolean', to: 'number'}]
+    });
+  });
+
+  it('should resolve a signature with omitted optional arguments', function() {
+    var resolved = typed2.resolve(fn, ['foo']);
+    assert.equal(resolved.signature, 'string,[number=10]');
+    assert.strictEqual(resolved.fn, b);
+    assert.deepEqual(resolved.convertedArgs, ['foo', 10]);
+  });
+
+  it('should resolve a signature with variable arguments', function() {
+    var date = new Date();
+    assert.deepEqual(typed2.resolve(fn, [date, 2, true, 4]), {
+      signature: 'Date,...number',
+      fn: c,
+      convertedArgs: [date, [2, 1, 4]],
+      conversionsApplied: [{index: 2, from: 'boolean', to: 'number'}]
+    });
+  });
+
+  it('should describe a mismatch', function() {
+    var resolved = typed2.resolve(fn, ['foo', 'bar']);
+    assert.strictEqual(resolved.signature, null);
+    assert.strictEqual(resolved.fn, null);
+    assert.deepEqual(resolved.mismatch, {
+      message: 'Unexpected type of argument in function fn (expected: number, actual: string, index: 1)',
+      fn: 'fn',
+      index: 1,
+      actual: 'bar',
+      expected: ['number']
+    });
+
+    assert.throws(function () {fn('foo', 'bar')}, new RegExp(resolved.mismatch.message.replace(/[()]/g, '\\$&')));
+
+    assert.equal(typed2.resolve(fn, []).mismatch.message,
+        'Too few arguments in function fn (expected: number or string or Date, index: 0)');
+  });
+
+  it('should resolve when a mismatch handler is configured', function() {
+    var typed3 = typed.create();
+    typed3.config.onMismatch = function () {
+      return 'mismatch';
+    };
+    var fn3 = typed3({'number': a});
+
+    assert.equal(fn3('foo'), 'mismatch');
+    assert.equal(typed3.resolve(fn3, ['foo']).mismatch.message,
+        'Unexpected type of argument in function unnamed (expected: number, actual: string, index: 0)');
+  });
+
+  it('should resolve with the conversions of the typed function itself', function() {
+    // fn is created by typed2, which converts booleans to numbers
+    assert.deepEqual(typed.resolve(fn, [true, 'foo']), {
+      signature: 'number,string',
+      fn: a,
+      convertedArgs: [1, 'foo'],
+      conversionsApplied: [{index: 0, from: 'boolean', to: 'number'}]
+    });
+
+    // conversions added after creating the typed function are not applied
+    var typed3 = typed.create();
+    var fn3 = typed3({'number': a});
+    typed3.addConversion({from: 'string', to: 'number', convert: function (x) {
+      return parseFloat(x);
+    }});
+
+    assert.throws(function () {fn3('3')}, /TypeError: Unexpected type of argument/);
+    assert.strictEqual(typed3.resolve(fn3, ['3']).signature, null);
+  });
+
+  it('should throw an error in case of invalid arguments', function() {
+    assert.throws(function () {typed.resolve(function () {}, [])}, /TypeError: Function is no typed-function/);
+    assert.throws(function () {typed.resolve(fn, 2)}, /TypeError: Array expected for args/);
+  });
+
+});
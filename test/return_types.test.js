@@ -0,0 +1,121 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('return types', function () {
+
+  it('should create a typed function with return types', function() {
+    var fn = typed({
+      'number, number -> number': function (a, b) {
+        return a + b;
+      },
+      'string -> string': function (str) {
+        return str + '!';
+      }
+    });
+
+    assert.strictEqual(fn(2, 3), 5);
+    assert.strictEqual(fn('foo'), 'foo!');
+  });
+
+  it('should list the return types of the signatures', function() {
+    function returnsNumber () {
+      return 2;
+    }
+    returnsNumber.returns = 'number';
+
+    var fn = typed({
+      'number, number -> number': function () {},
+      'Array.<number> -> Array.<number> | null': function () {},
+      'boolean': returnsNumber,
+      'string': function () {}
+    });
+
+    assert.deepEqual(Object.keys(fn.signatures).sort(), ['Array.<number>', 'boolean', 'number,number', 'string']);
+    assert.deepEqual(fn.returnTypes, {
+      'number,number': 'number',
+      'Array.<number>': 'Array.<number>|null',
+      'boolean': 'number'
+    });
+  });
+
+  it('should find signatures with a return type', function() {
+    function f () {}
+    var fn = typed({'number -> number': f});
+
+    assert.strictEqual(typed.find(fn, 'number'), f);
+  });
+
+  it('should keep return types when merging typed functions', function() {
+    var fn1 = typed({'number -> number': function (x) { return x; }});
+    var fn2 = typed({'string': function (x) { return x; }});
+
+    var fn3 = typed(fn1, fn2);
+
+    assert.deepEqual(fn3.returnTypes, {'number': 'number'});
+  });
+
+  it('should not check return types by default', function() {
+    var fn = typed({
+      'number -> string': function (x) {
+        return x;
+      }
+    });
+
+    assert.strictEqual(fn(2), 2);
+  });
+
+  it('should check return types when configured', function() {
+    var typed2 = typed.create();
+    typed2.config.checkReturnTypes = true;
+
+    var fn = typed2('fn', {
+      'number -> string': function (x) {
+        return x;
+      },
+      'string -> string': function (x) {
+        return x;
+      },
+      'boolean': function (x) {
+        return x;
+      }
+    });
+
+    assert.strictEqual(fn('foo'), 'foo');
+    assert.strictEqual(fn(true), true);
+    assert.throws(function () {fn(2)}, /TypeError: Unexpected return type in function fn \(expected: string, actual: number, signature: number\)/);
+
+    try {
+      fn(2);
+      assert.fail('Should throw an error');
+    }
+    catch (err) {
+      assert.deepEqual(err.data, {fn: 'fn', signature: 'number', actual: 2, expected: ['string']});
+    }
+  });
+
+  it('should not generate code checking return types by default', function() {
+    var fn1 = typed({'number -> number': function (x) { return x; }});
+    var fn2 = typed({'number': function (x) { return x; }});
+
+    assert.strictEqual(fn1.toString(), fn2.toString());
+  });
+
+  it('should throw an error in case of an invalid return type', function() {
+    assert.throws(function () {
+      typed({'number -> ': function () {}});
+    }, /SyntaxError: Invalid return type ""/);
+
+    assert.throws(function () {
+      typed({'number -> ...number': function () {}});
+    }, /SyntaxError: Invalid return type "...number"/);
+
+    assert.throws(function () {
+      typed({'number -> number -> number': function () {}});
+    }, /SyntaxError: Unexpected return type operator "->"/);
+
+    assert.throws(function () {
+      typed({'number -> Foo': function () {}});
+    }, /Error: Unknown type "Foo"/);
+  });
+
+});
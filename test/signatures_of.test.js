@@ -0,0 +1,148 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('signaturesOf', function () {
+
+  it('should describe the signatures of a typed function', function() {
+    function f () {}
+    function g () {}
+    var fn = typed({
+      'string, number -> string': f,
+      '...boolean{2,}': g
+    });
+
+    assert.deepEqual(typed.signaturesOf(fn), [
+      {
+        signature: '...boolean{2,}',
+        declaration: '...boolean{2,}',
+        params: [
+          {types: ['boolean'], varArgs: true, optional: false, min: 2, max: Infinity}
+        ],
+        returns: null,
+        fn: g,
+        variants: [
+          {
+            signature: '...boolean{2,}',
+            params: [
+              {types: ['boolean'], varArgs: true, optional: false, min: 2, max: Infinity}
+            ],
+            omitted: 0,
+            conversions: false
+          }
+        ]
+      },
+      {
+        signature: 'string,number',
+        declaration: 'string, number -> string',
+        params: [
+          {types: ['string'], varArgs: false, optional: false},
+          {types: ['number'], varArgs: false, optional: false}
+        ],
+        returns: 'string',
+        fn: f,
+        variants: [
+          {
+            signature: 'string,number',
+            params: [
+              {types: ['string'], varArgs: false, optional: false},
+              {types: ['number'], varArgs: false, optional: false}
+            ],
+            omitted: 0,
+            conversions: false
+          }
+        ]
+      }
+    ]);
+  });
+
+  it('should list the declaration of signatures with union types', function() {
+    var fn = typed({
+      'string | boolean, [number = 2]': function () {}
+    });
+
+    var signatures = typed.signaturesOf(fn);
+    assert.deepEqual(signatures.map(function (s) { return s.signature; }), ['string,[number=2]', 'boolean,[number=2]']);
+    assert.deepEqual(signatures.map(function (s) { return s.declaration; }), ['string | boolean, [number = 2]', 'string | boolean, [number = 2]']);
+    assert.deepEqual(signatures[0].params[1], {types: ['number'], varArgs: false, optional: true, defaultValue: 2});
+    assert.deepEqual(signatures[0].variants.map(function (v) { return v.signature; }), ['string', 'string,number']);
+    assert.deepEqual(signatures[0].variants.map(function (v) { return v.omitted; }), [1, 0]);
+  });
+
+  it('should list the variants reached via conversions', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) {
+      return +x;
+    }});
+
+    var fn = typed2({
+      'number, ...number': function () {}
+    });
+
+    var variants = typed2.signaturesOf(fn)[0].variants;
+    assert.deepEqual(variants.map(function (v) { return v.signature; }), ['number,...number|boolean', 'boolean,...number|boolean']);
+    assert.deepEqual(variants.map(function (v) { return v.conversions; }), [true, true]);
+    assert.deepEqual(variants[1].params[0].conversions, [{from: 'boolean', to: 'number'}]);
+    assert.deepEqual(variants[1].params[1].conversions, [null, {from: 'boolean', to: 'number'}]);
+  });
+
+  it('should list the variants with which the typed function was created', function() {
+    var typed2 = typed.create();
+    var fn = typed2({
+      'number': function () {}
+    });
+
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) {
+      return +x;
+    }});
+
+    var variants = typed2.signaturesOf(fn)[0].variants;
+    assert.deepEqual(variants.map(function (v) { return v.signature; }), ['number']);
+  });
+
+  it('should list the path of chains of conversions', function() {
+    var typed2 = typed.create();
+    typed2.config.conversionChains = true;
+    typed2.addType({name: 'BigNumber', test: function (x) { return x && x.isBigNumber; }});
+    typed2.addType({name: 'Complex', test: function (x) { return x && x.isComplex; }});
+    typed2.addConversion({from: 'number', to: 'BigNumber', convert: function (x) {
+      return {isBigNumber: true, value: x};
+    }});
+    typed2.addConversion({from: 'BigNumber', to: 'Complex', convert: function (x) {
+      return {isComplex: true, re: x.value};
+    }});
+
+    var fn = typed2({
+      'Complex': function () {}
+    });
+
+    var variants = typed2.signaturesOf(fn)[0].variants;
+    assert.deepEqual(variants.map(function (v) { return v.signature; }), ['Complex', 'BigNumber', 'number']);
+    assert.deepEqual(variants[1].params[0].conversions, [{from: 'BigNumber', to: 'Complex'}]);
+    assert.deepEqual(variants[2].params[0].conversions, [
+      {from: 'number', to: 'Complex', path: ['number', 'BigNumber', 'Complex']}
+    ]);
+  });
+
+  it('should keep declarations when merging typed functions', function() {
+    var fn1 = typed({'string | boolean -> string': function () {}});
+    var fn2 = typed({'number': function () {}});
+
+    var fn3 = typed(fn1, fn2);
+
+    assert.deepEqual(fn3.declarations, {
+      'number': 'number',
+      'string': 'string | boolean -> string',
+      'boolean': 'string | boolean -> string'
+    });
+    assert.deepEqual(fn3.returnTypes, {'string': 'string', 'boolean': 'string'});
+    assert.deepEqual(typed.signaturesOf(fn3).map(function (s) { return s.declaration; }),
+        ['number', 'string | boolean -> string', 'string | boolean -> string']);
+  });
+
+  it('should throw an error in case of a function which is no typed-function', function() {
+    assert.throws(function () {
+      typed.signaturesOf(function () {});
+    }, /TypeError: Function is no typed-function/);
+  });
+
+});
@@ -0,0 +1,151 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('subtypes', function () {
+
+  function Matrix () {}
+  function DenseMatrix () {}
+  DenseMatrix.prototype = Object.create(Matrix.prototype);
+  function Fraction () {}
+
+  function createTyped () {
+    var typed2 = typed.create();
+    typed2.addType({
+      name: 'Matrix',
+      test: function (x) {
+        return x instanceof Matrix && !(x instanceof DenseMatrix);
+      }
+    });
+    typed2.addType({
+      name: 'DenseMatrix',
+      test: function (x) {
+        return x instanceof DenseMatrix;
+      },
+      extends: 'Matrix'
+    });
+    typed2.addType({
+      name: 'Fraction',
+      test: function (x) {
+        return x instanceof Fraction;
+      },
+      extends: 'number'
+    });
+    return typed2;
+  }
+
+  it('should invoke a signature of a supertype with a value of a subtype', function() {
+    var typed2 = createTyped();
+    var fn = typed2({
+      'number': function (x) {
+        return 'number';
+      },
+      'Matrix': function (x) {
+        return 'Matrix';
+      }
+    });
+
+    assert.equal(fn(2), 'number');
+    assert.equal(fn(new Fraction()), 'number');
+    assert.equal(fn(new Matrix()), 'Matrix');
+    assert.equal(fn(new DenseMatrix()), 'Matrix');
+  });
+
+  it('should type-check subtypes before their supertypes', function() {
+    var typed2 = createTyped();
+    var fn = typed2({
+      'number': function (x) {
+        return 'number';
+      },
+      'Fraction': function (x) {
+        return 'Fraction';
+      },
+      'Matrix': function (x) {
+        return 'Matrix';
+      },
+      'DenseMatrix': function (x) {
+        return 'DenseMatrix';
+      }
+    });
+
+    assert.equal(fn(2), 'number');
+    assert.equal(fn(new Fraction()), 'Fraction');
+    assert.equal(fn(new Matrix()), 'Matrix');
+    assert.equal(fn(new DenseMatrix()), 'DenseMatrix');
+
+    var str = fn.toString();
+    assert(str.indexOf('// signature: Fraction') < str.indexOf('// signature: number'), 'Fraction must come before number');
+    assert(str.indexOf('// signature: DenseMatrix') < str.indexOf('// signature: Matrix'), 'DenseMatrix must come before Matrix');
+  });
+
+  it('should fall through to a supertype when the next arguments do not match', function() {
+    var typed2 = createTyped();
+    var fn = typed2({
+      'DenseMatrix, number': function () {
+        return 'DenseMatrix, number';
+      },
+      'Matrix, string': function () {
+        return 'Matrix, string';
+      }
+    });
+
+    assert.equal(fn(new DenseMatrix(), 2), 'DenseMatrix, number');
+    assert.equal(fn(new DenseMatrix(), 's'), 'Matrix, string');
+    assert.equal(fn(new Matrix(), 's'), 'Matrix, string');
+    assert.throws(function () {fn(new DenseMatrix(), true)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: boolean, index: 1\)/);
+  });
+
+  it('should mention subtypes in errors', function() {
+    var typed2 = createTyped();
+    var fn = typed2('fn', {
+      'Matrix': function (x) {
+        return 'Matrix';
+      }
+    });
+
+    assert.throws(function () {fn('foo')},
+        /TypeError: Unexpected type of argument in function fn \(expected: Matrix \(or subtype\), actual: string, index: 0\)/);
+    assert.throws(function () {fn()},
+        /TypeError: Too few arguments in function fn \(expected: Matrix \(or subtype\), index: 0\)/);
+
+    try {
+      fn('foo');
+    }
+    catch (err) {
+      assert.deepEqual(err.data.expected, ['Matrix']);
+    }
+  });
+
+  it('should return the most specific type in errors', function() {
+    var typed2 = createTyped();
+    var fn = typed2('fn', {
+      'string': function (x) {
+        return 'string';
+      }
+    });
+
+    assert.throws(function () {fn(new Fraction())},
+        /TypeError: Unexpected type of argument in function fn \(expected: string, actual: Fraction, index: 0\)/);
+  });
+
+  it('should find a signature of a supertype', function() {
+    var typed2 = createTyped();
+    function f () {}
+    var fn = typed2({'number': f});
+
+    assert.strictEqual(typed2.find(fn, 'Fraction'), f);
+  });
+
+  it('should throw an error when extending an invalid type', function() {
+    var typed2 = typed.create();
+    var test = function () { return false; };
+
+    assert.throws(function () {
+      typed2.addType({name: 'Foo', test: test, extends: 'Bar'});
+    }, /Error: Unknown type "Bar"/);
+
+    assert.throws(function () {
+      typed2.addType({name: 'Foo', test: test, extends: 2});
+    }, /TypeError: String expected for property extends of type "Foo"/);
+  });
+
+});
@@ -0,0 +1,168 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('trailing parameters', function () {
+
+  it('should create a typed function with a parameter following variable arguments', function() {
+    var fn = typed({
+      '...number, string': function (values, str) {
+        assert(Array.isArray(values));
+        return str + ':' + values.join(',');
+      }
+    });
+
+    assert.equal(fn(1, 'a'), 'a:1');
+    assert.equal(fn(1, 2, 3, 'a'), 'a:1,2,3');
+    assert.throws(function () {fn('a')}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 0\)/);
+    assert.throws(function () {fn(1)}, /TypeError: Too few arguments in function unnamed \(expected: string, index: 1\)/);
+    assert.throws(function () {fn(1, 2)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: number, index: 1\)/);
+    assert.throws(function () {fn(1, 'a', 'b')}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 1\)/);
+  });
+
+  it('should pass parameters preceding and following variable arguments', function() {
+    var fn = typed({
+      'string, ...number, boolean, Function': function (name, values, flag, callback) {
+        return callback(name, values, flag);
+      }
+    });
+
+    function callback (name, values, flag) {
+      return [name, values, flag];
+    }
+
+    assert.deepEqual(fn('a', 1, true, callback), ['a', [1], true]);
+    assert.deepEqual(fn('a', 1, 2, 3, false, callback), ['a', [1, 2, 3], false]);
+    assert.throws(function () {fn('a', 1, 2, callback)}, /TypeError: Unexpected type of argument in function unnamed \(expected: boolean, actual: number, index: 2\)/);
+    assert.throws(function () {fn('a', 1, true, 2)}, /TypeError: Unexpected type of argument in function unnamed \(expected: Function, actual: number, index: 3\)/);
+  });
+
+  it('should match variable arguments of any type followed by a callback', function() {
+    var fn = typed({
+      '...any, Function': function (values, callback) {
+        return callback(values);
+      }
+    });
+
+    function length (values) {
+      return values.length;
+    }
+
+    assert.strictEqual(fn('a', 2, null, length), 3);
+    assert.strictEqual(fn(length, length), 1);
+    assert.throws(function () {fn(length)}, /TypeError: Too few arguments in function unnamed \(expected: Function, index: 1\)/);
+    assert.throws(function () {fn(1, 2)}, /TypeError: Unexpected type of argument in function unnamed \(expected: Function, actual: number, index: 1\)/);
+  });
+
+  it('should combine signatures with and without trailing parameters', function() {
+    var fn = typed({
+      '...number': function (values) {
+        return 'sum:' + values.reduce(function (a, b) { return a + b; });
+      },
+      '...number, string': function (values, str) {
+        return str + ':' + values.join(',');
+      },
+      '...number, string, boolean': function (values, str, flag) {
+        return str + ':' + values.join(',') + ':' + flag;
+      }
+    });
+
+    assert.equal(fn(1, 2), 'sum:3');
+    assert.equal(fn(1, 2, 'a'), 'a:1,2');
+    assert.equal(fn(1, 2, 'a', true), 'a:1,2:true');
+    assert.throws(function () {fn(1, 'a', 2)}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 1\)/);
+  });
+
+  it('should convert trailing parameters', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) {
+      return +x;
+    }});
+
+    var fn = typed2({
+      '...string, number': function (values, num) {
+        return values.join(',') + ':' + num;
+      }
+    });
+
+    assert.strictEqual(fn('a', 'b', 2), 'a,b:2');
+    assert.strictEqual(fn('a', true), 'a:1');
+  });
+
+  it('should support union types in trailing parameters', function() {
+    var fn = typed({
+      '...number, string | boolean': function (values, last) {
+        return values.length + ':' + last;
+      }
+    });
+
+    assert.strictEqual(fn(1, 2, 'a'), '2:a');
+    assert.strictEqual(fn(1, false), '1:false');
+    assert.throws(function () {fn(1, 2)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string or boolean, actual: number, index: 1\)/);
+  });
+
+  it('should fall through to signatures with any type', function() {
+    function a () { return 'a'; }
+    function b () { return 'b'; }
+
+    var fn1 = typed({'...number, string': a, '...any': b});
+    assert.equal(fn1(1, 's'), 'a');
+    assert.equal(fn1(1), 'b');
+    assert.equal(fn1(1, 2), 'b');
+    assert.equal(fn1(1, 'x', 's'), 'b');
+    assert.strictEqual(typed.find(fn1, 'number'), b);
+
+    var fn2 = typed({'...number, string': a, 'any': b});
+    assert.equal(fn2(1, 's'), 'a');
+    assert.equal(fn2(1), 'b');
+    assert.throws(function () {fn2(1, 2)}, /TypeError: Too many arguments in function unnamed \(expected: 1, actual: 2\)/);
+  });
+
+  it('should throw an error for the last argument when no trailing parameters match', function() {
+    var fn = typed({
+      '...number, string, string': function () {},
+      '...number, boolean': function () {}
+    });
+
+    assert.throws(function () {fn(1, 2)}, /TypeError: Unexpected type of argument in function unnamed \(expected: string or boolean, actual: number, index: 1\)/);
+    assert.throws(function () {fn(1, 'a', true)}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 1\)/);
+    assert.throws(function () {fn(1, true, 'a')}, /TypeError: Unexpected type of argument in function unnamed \(expected: string, actual: boolean, index: 1\)/);
+  });
+
+  it('should list signatures with trailing parameters', function() {
+    function f () {}
+    var fn = typed({'...number, string': f});
+
+    assert.deepEqual(Object.keys(fn.signatures), ['...number,string']);
+    assert.strictEqual(typed.find(fn, '...number, string'), f);
+    assert.strictEqual(typed.find(fn, 'number, number, string'), f);
+    assert.throws(function () {typed.find(fn, 'number, number')}, /TypeError: Signature not found/);
+  });
+
+  it('should resolve signatures with trailing parameters', function() {
+    var fn = typed({
+      'boolean, ...number, string': function () {}
+    });
+
+    var resolved = typed.resolve(fn, [true, 1, 2, 'a']);
+    assert.strictEqual(resolved.signature, 'boolean,...number,string');
+    assert.deepEqual(resolved.convertedArgs, [true, [1, 2], 'a']);
+  });
+
+  it('should throw an error in case of invalid trailing parameters', function() {
+    assert.throws(function () {
+      typed({'...number, ...string': function () {}});
+    }, /SyntaxError: Unexpected variable arguments operator "..."/);
+
+    assert.throws(function () {
+      typed({'...number, [string]': function () {}});
+    }, /SyntaxError: Unexpected optional parameter "string" after variable arguments/);
+
+    assert.throws(function () {
+      typed({
+        'string, ...number, boolean': function () {},
+        'string, number': function () {}
+      });
+    }, /Error: Conflicting types "number" and "...number"/);
+  });
+
+});
@@ -0,0 +1,120 @@
+var assert = require('assert');
+var typed = require('../typed-function');
+
+describe('toTypeScript', function () {
+
+  it('should create a TypeScript declaration with an overload per signature', function() {
+    var fn = typed('add', {
+      'number, number -> number': function () {},
+      'string, string': function () {}
+    });
+
+    assert.strictEqual(typed.toTypeScript(fn),
+        'export declare function add(arg0: number, arg1: number): number;\n' +
+        'export declare function add(arg0: string, arg1: string): any;\n');
+  });
+
+  it('should use the provided name', function() {
+    var fn = typed({
+      'number': function () {}
+    });
+
+    assert.strictEqual(typed.toTypeScript(fn, {name: 'square'}),
+        'export declare function square(arg0: number): any;\n');
+  });
+
+  function declare (signature) {
+    var signatures = {};
+    signatures[signature] = function () {};
+    return typed.toTypeScript(typed('fn', signatures));
+  }
+
+  it('should map types to TypeScript types', function() {
+    assert.strictEqual(declare('Function, Array, Object, Date, null'),
+        'export declare function fn(arg0: (...args: any[]) => any, arg1: any[], arg2: object, arg3: Date, arg4: null): any;\n');
+    assert.strictEqual(declare('?Date, "linear", 0..10'),
+        'export declare function fn(arg0: Date | null, arg1: "linear", arg2: number): any;\n');
+    assert.strictEqual(declare('Array.<number>, Object.<string, ?string>, {name: string, "first-name"?: string}'),
+        'export declare function fn(arg0: Array<number>, arg1: Record<string, string | null>, arg2: { name: string; "first-name"?: string }): any;\n');
+    assert.strictEqual(declare('any -> ?Function'),
+        'export declare function fn(arg0: any): ((...args: any[]) => any) | null;\n');
+  });
+
+  it('should create an overload per type of a union type', function() {
+    assert.strictEqual(declare('"linear" | "cubic"'),
+        'export declare function fn(arg0: "linear"): any;\n' +
+        'export declare function fn(arg0: "cubic"): any;\n');
+  });
+
+  it('should map custom types to TypeScript types', function() {
+    var typed2 = typed.create();
+    typed2.addType({name: 'Matrix', test: function (x) { return x && x.isMatrix; }});
+    typed2.addType({name: 'Unit', test: function (x) { return x && x.isUnit; }, ts: 'MathUnit'});
+
+    var fn = typed2('fn', {
+      'Matrix, Unit -> Matrix': function () {}
+    });
+
+    assert.strictEqual(typed2.toTypeScript(fn),
+        'export declare function fn(arg0: Matrix, arg1: MathUnit): Matrix;\n');
+    assert.strictEqual(typed2.toTypeScript(fn, {types: {Matrix: 'DenseMatrix'}}),
+        'export declare function fn(arg0: DenseMatrix, arg1: MathUnit): DenseMatrix;\n');
+  });
+
+  it('should render optional parameters', function() {
+    var fn = typed('fn', {
+      'string, [number = 10]': function () {}
+    });
+
+    assert.strictEqual(typed.toTypeScript(fn),
+        'export declare function fn(arg0: string, arg1?: number): any;\n');
+  });
+
+  it('should render variable arguments as rest parameters', function() {
+    assert.strictEqual(declare('string, ...number | boolean'),
+        'export declare function fn(arg0: string, ...args: (number | boolean)[]): any;\n');
+    assert.strictEqual(declare('...Function'),
+        'export declare function fn(...args: ((...args: any[]) => any)[]): any;\n');
+    assert.strictEqual(declare('...number{1,2}, string'),
+        'export declare function fn(...args: [number, string] | [number, number, string]): any;\n');
+    assert.strictEqual(declare('Date, ...any{2,}'),
+        'export declare function fn(arg0: Date, ...args: [any, any, ...any[]]): any;\n');
+  });
+
+  it('should render bounded variable arguments with optional tuple elements', function() {
+    assert.strictEqual(declare('...number{1,3}'),
+        'export declare function fn(...args: [number, number?, number?]): any;\n');
+    assert.strictEqual(declare('...number{2}'),
+        'export declare function fn(...args: [number, number]): any;\n');
+
+    // a wide range followed by trailing parameters is not expanded
+    assert.strictEqual(declare('...number{2,200}, string'),
+        'export declare function fn(...args: [number, number, ...number[], string]): any;\n');
+    assert(declare('...number{1,200}').length < 2000);
+  });
+
+  it('should render conversions as accepted input', function() {
+    var typed2 = typed.create();
+    typed2.addConversion({from: 'boolean', to: 'number', convert: function (x) {
+      return +x;
+    }});
+
+    var fn = typed2('fn', {
+      'number, ...number': function () {}
+    });
+
+    assert.strictEqual(typed2.toTypeScript(fn),
+        'export declare function fn(arg0: number | boolean, ...args: (number | boolean)[]): any;\n');
+  });
+
+  it('should throw an error in case of invalid arguments', function() {
+    assert.throws(function () {
+      typed.toTypeScript(function () {});
+    }, /TypeError: Function is no typed-function/);
+
+    assert.throws(function () {
+      typed.toTypeScript(typed({'number': function () {}}));
+    }, /TypeError: Name expected for the declaration of an unnamed function/);
+  });
+
+});
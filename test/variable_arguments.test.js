@@ -145,7 +145,7 @@ describe('variable arguments', function () {
 
   it('should throw an error in case of unexpected variable arguments', function() {
     assert.throws(function () {
-      typed({'...number, string': function () {}});
+      typed({'...number, ...string': function () {}});
     }, /SyntaxError: Unexpected variable arguments operator "..."/);
   });
 
@@ -166,4 +166,110 @@ describe('variable arguments', function () {
     assert.equal(fn([],[]), 'two');
   });
 
+  describe('bounds', function () {
+
+    it('should create a typed function with a minimum number of variable arguments', function() {
+      var fn = typed({
+        '...number{2,}': function (values) {
+          return values;
+        }
+      });
+
+      assert.deepEqual(fn(1, 2), [1, 2]);
+      assert.deepEqual(fn(1, 2, 3, 4), [1, 2, 3, 4]);
+      assert.throws(function () {fn(1)}, /TypeError: Too few arguments in function unnamed \(expected: at least 2 arguments of type number, actual: 1, index: 0\)/);
+      assert.throws(function () {fn(1, 'foo')}, /TypeError: Unexpected type of argument in function unnamed \(expected: number, actual: string, index: 1\)/);
+    });
+
+    it('should create a typed function with a minimum and maximum number of variable arguments', function() {
+      var fn = typed({
+        'boolean, ...string{1,3}': function (flag, values) {
+          return values;
+        }
+      });
+
+      assert.deepEqual(fn(true, 'a'), ['a']);
+      assert.deepEqual(fn(true, 'a', 'b', 'c'), ['a', 'b', 'c']);
+      assert.throws(function () {fn(true, 'a', 'b', 'c', 'd')}, /TypeError: Too many arguments in function unnamed \(expected: 1 to 3 arguments of type string, actual: 4, index: 1\)/);
+    });
+
+    it('should create a typed function with an exact number of variable arguments', function() {
+      var fn = typed({
+        '...number{2}, string': function (values, str) {
+          return str + ':' + values.join(',');
+        }
+      });
+
+      assert.equal(fn(1, 2, 'a'), 'a:1,2');
+      assert.throws(function () {fn(1, 'a')}, /TypeError: Too few arguments in function unnamed \(expected: exactly 2 arguments of type number, actual: 1, index: 0\)/);
+      assert.throws(function () {fn(1, 2, 3, 'a')}, /TypeError: Too many arguments in function unnamed \(expected: exactly 2 arguments of type number, actual: 3, index: 0\)/);
+    });
+
+    it('should attach the bounds to the error', function() {
+      var fn = typed('fn', {
+        '...number{2,3}': function () {}
+      });
+
+      try {
+        fn(1);
+        assert.fail('Should throw an error');
+      }
+      catch (err) {
+        assert.deepEqual(err.data, {fn: 'fn', index: 0, actual: 1, expected: ['number'], min: 2, max: 3, count: 1});
+      }
+    });
+
+    it('should list the bounds in the signatures', function() {
+      function f () {}
+      var fn = typed({'...number{2,}': f});
+
+      assert.deepEqual(Object.keys(fn.signatures), ['...number{2,}']);
+      assert.strictEqual(typed.find(fn, '...number{2,}'), f);
+      assert.strictEqual(typed.find(fn, 'number, number'), f);
+      assert.throws(function () {typed.find(fn, 'number')}, /TypeError: Signature not found/);
+    });
+
+    it('should fall through to the next signature when out of bounds', function() {
+      function a () {
+        return 'a';
+      }
+      function b () {
+        return 'b';
+      }
+      var fn = typed({
+        '...number{2,}': a,
+        'any': b
+      });
+
+      assert.strictEqual(fn(1, 2), 'a');
+      assert.strictEqual(fn(1), 'b');
+      assert.strictEqual(typed.find(fn, ['number']), b);
+      assert.strictEqual(typed.resolve(fn, [1]).fn, b);
+
+      var fn2 = typed({
+        '...number{2}, string': a,
+        '...any, string': b
+      });
+
+      assert.strictEqual(fn2(1, 2, 'foo'), 'a');
+      assert.strictEqual(fn2(1, 'foo'), 'b');
+      assert.strictEqual(fn2(1, 2, 3, 'foo'), 'b');
+    });
+
+    it('should throw an error in case of invalid bounds', function() {
+      assert.throws(function () {
+        typed({'...number{0,}': function () {}});
+      }, /SyntaxError: Invalid bounds of variable arguments "\{0,\}"/);
+
+      assert.throws(function () {
+        typed({'...number{3,2}': function () {}});
+      }, /SyntaxError: Invalid bounds of variable arguments "\{3,2\}"/);
+
+      assert.throws(function () {
+        typed({'...number{a}': function () {}});
+      }, /SyntaxError: Invalid bounds of variable arguments "\{a\}"/);
+    });
+
+  });
+
 });
@@ -21,9 +21,33 @@
     root.typed = factory();
   }
 }(this, function () {
-  // factory function to create a new instance of typed-function
-  // TODO: allow passing configuration, types, tests via the factory function
-  function create() {
+  // value returned by a fallible conversion when it cannot convert a value.
+  // Shared by all instances of typed-function
+  var NO_MATCH = {};
+
+  // maximum number of tuples by which toTypeScript renders bounded variable
+  // arguments followed by trailing parameters
+  var MAX_TUPLES = 8;
+
+  /**
+   * Factory function to create a new instance of typed-function.
+   *
+   * The provided types, conversions and ignored types replace those of the
+   * new instance, and the provided config is merged into its config.
+   * Registries which are not provided are the built-in ones, or when
+   * `inherit` is true, copies of the registries of the instance on which
+   * create is invoked.
+   *
+   * @param {{types: Array, conversions: Array, ignore: string[], config: Object, inherit: boolean}} [options]
+   * @return {Function} Returns a new instance of typed-function
+   */
+  function create(options) {
+    var _options = options || {};
+    var parent = (this && typeof this.create === 'function') ? this : null;
+    if (typeof _options !== 'object') {
+      throw new TypeError('Object expected for options');
+    }
+
     /**
      * Get a type test function for a specific data type
      * @param {string} name                   Name of a data type like 'number' or 'string'
@@ -31,19 +55,45 @@
      *                                        Throws an error for an unknown type.
      */
     function getTypeTest(name) {
-      var test;
-      for (var i = 0; i < typed.types.length; i++) {
-        var entry = typed.types[i];
-        if (entry.name === name) {
-          test = entry.test;
-          break;
+      if (isNullable(name)) {
+        // nullable type like '?Date'
+        var notNullTest = getTypeTest(stripNullable(name));
+        return function (x) {
+          return x === null || notNullTest(x);
+        };
+      }
+
+      var record = parseRecord(name);
+      if (record) {
+        // record type like '{name: string, age?: number}'
+        return getRecordTest(record);
+      }
+
+      var generic = parseGeneric(name);
+      if (generic) {
+        // generic type like 'Array.<number>' or 'Object.<string, Date>'
+        return getGenericTest(generic);
+      }
+
+      var literal = parseLiteral(name);
+      if (literal) {
+        // literal type like '"linear"', '2' or '0..10'
+        if ('value' in literal) {
+          return function (x) {
+            return x === literal.value;
+          };
         }
+        return function (x) {
+          return typeof x === 'number' && x >= literal.min && x <= literal.max;
+        };
       }
 
-      if (!test) {
+      var type = findType(name);
+
+      if (!type) {
         var hint;
-        for (i = 0; i < typed.types.length; i++) {
-          entry = typed.types[i];
+        for (var i = 0; i < typed.types.length; i++) {
+          var entry = typed.types[i];
           if (entry.name.toLowerCase() == name.toLowerCase()) {
             hint = entry.name;
             break;
@@ -53,7 +103,460 @@
         throw new Error('Unknown type "' + name + '"' +
             (hint ? ('. Did you mean "' + hint + '"?') : ''));
       }
-      return test;
+
+      // values of subtypes satisfy the type too
+      var subtypes = getSubtypes(name);
+      if (subtypes.length > 0) {
+        var tests = [type.test].concat(subtypes.map(function (subtype) {
+          return subtype.test;
+        }));
+        return function (x) {
+          for (var i = 0; i < tests.length; i++) {
+            if (tests[i](x)) {
+              return true;
+            }
+          }
+          return false;
+        };
+      }
+
+      return type.test;
+    }
+
+    /**
+     * Find a type in typed.types by its name
+     * @param {string} name
+     * @return {{name: string, test: function, extends: string} | undefined}
+     *                            Returns the type, or undefined when not found
+     */
+    function findType(name) {
+      for (var i = 0; i < typed.types.length; i++) {
+        if (typed.types[i].name === name) {
+          return typed.types[i];
+        }
+      }
+      return undefined;
+    }
+
+    /**
+     * Test whether a type is a direct or indirect subtype of an other type,
+     * as declared with the property `extends` of a type.
+     * @param {string} name       Name of a type, like 'Fraction'
+     * @param {string} supertype  Name of a type, like 'Object'
+     * @return {boolean}
+     */
+    function isSubtype(name, supertype) {
+      var type = findType(name);
+
+      // the number of types limits the depth, in case of circular declarations
+      for (var depth = 0; type && type.extends && depth < typed.types.length; depth++) {
+        if (type.extends === supertype) {
+          return true;
+        }
+        type = findType(type.extends);
+      }
+
+      return false;
+    }
+
+    /**
+     * Get all direct and indirect subtypes of a type, in the order of
+     * typed.types
+     * @param {string} name
+     * @return {Array.<{name: string, test: function}>}
+     */
+    function getSubtypes(name) {
+      return typed.types.filter(function (type) {
+        return isSubtype(type.name, name);
+      });
+    }
+
+    /**
+     * Get the types of typed.types in the order in which they are
+     * type-checked: the order of typed.types, except that subtypes are
+     * ordered before their supertypes.
+     * @return {Array.<{name: string, test: function}>}
+     */
+    function getOrderedTypes() {
+      var ordered = [];
+      var visited = {};
+
+      function add(type) {
+        if (visited[type.name]) {
+          return;
+        }
+        visited[type.name] = true;
+
+        // add the direct subtypes first
+        for (var i = 0; i < typed.types.length; i++) {
+          if (typed.types[i].extends === type.name) {
+            add(typed.types[i]);
+          }
+        }
+        ordered.push(type);
+      }
+
+      typed.types.forEach(add);
+
+      return ordered;
+    }
+
+    /**
+     * Get the index of all types in the order in which types are type-checked.
+     * Ordering the types is costly, so the indexes are created once when
+     * ordering a set of signatures.
+     * @return {Object.<string, number>} Returns a map with type names as key
+     *                                   and their index as value
+     */
+    function getTypeIndexes() {
+      var indexes = {};
+      getOrderedTypes().forEach(function (type, index) {
+        indexes[type.name] = index;
+      });
+      return indexes;
+    }
+
+    /**
+     * Get the index of a type in the order in which types are type-checked
+     * @param {string} name
+     * @param {Object.<string, number>} indexes   Indexes of getTypeIndexes()
+     * @return {number} Returns the index, or -1 when not found
+     */
+    function getTypeIndex(name, indexes) {
+      return indexes.hasOwnProperty(name) ? indexes[name] : -1;
+    }
+
+    /**
+     * Format the expected types for an error message. Types with subtypes
+     * are formatted like 'Matrix (or subtype)'
+     * @param {string[]} types
+     * @return {string}
+     */
+    function formatExpected(types) {
+      return types.map(function (type) {
+        return (getSubtypes(type).length > 0) ? (type + ' (or subtype)') : type;
+      }).join(' or ');
+    }
+
+    /**
+     * Get a type test function testing whether a value matches any of the
+     * provided types
+     * @param {string[]} types                Types like ['number', 'string']
+     * @returns {Function(obj: *) : boolean}  Returns a type testing function.
+     */
+    function getUnionTest(types) {
+      if (contains(types, 'any')) {
+        return function () {
+          return true;
+        };
+      }
+
+      var tests = types.map(getTypeTest);
+      return function (x) {
+        for (var i = 0; i < tests.length; i++) {
+          if (tests[i](x)) {
+            return true;
+          }
+        }
+        return false;
+      };
+    }
+
+    /**
+     * Get a type test function for a record type
+     * @param {Array.<{name: string, optional: boolean, types: string[]}>} props
+     *                                        Properties of the record type
+     * @returns {Function(obj: *) : boolean}  Returns a type testing function.
+     */
+    function getRecordTest(props) {
+      var tests = props.map(function (prop) {
+        return getUnionTest(prop.types);
+      });
+
+      return function (x) {
+        if (x === null || typeof x !== 'object') {
+          return false;
+        }
+
+        for (var i = 0; i < props.length; i++) {
+          var value = x[props[i].name];
+          if (!(value === undefined && props[i].optional) && !tests[i](value)) {
+            return false;
+          }
+        }
+
+        return true;
+      };
+    }
+
+    /**
+     * Get a type test function for a generic type, testing the type of the
+     * container as well as the type of each of its elements (or values)
+     * @param {{base: string, types: string[]}} generic
+     * @returns {Function(obj: *) : boolean}  Returns a type testing function.
+     */
+    function getGenericTest(generic) {
+      var baseTest = getTypeTest(generic.base);
+      var elementTest = getUnionTest(generic.types);
+
+      if (generic.base === 'Array') {
+        return function (x) {
+          if (!baseTest(x)) {
+            return false;
+          }
+          for (var i = 0; i < x.length; i++) {
+            if (!elementTest(x[i])) {
+              return false;
+            }
+          }
+          return true;
+        };
+      }
+
+      return function (x) {
+        if (x === null || Array.isArray(x) || !baseTest(x)) {
+          return false;
+        }
+        for (var key in x) {
+          if (x.hasOwnProperty(key) && !elementTest(x[key])) {
+            return false;
+          }
+        }
+        return true;
+      };
+    }
+
+    /**
+     * Get all conversions which can be applied to a parameter with given types:
+     * the conversions of typed.conversions, extended with element-wise
+     * conversions for generic types like 'Array.<number>', and with chains
+     * of conversions when typed.config.conversionChains is true.
+     * @param {string[]} types
+     * @return {Array.<{from: string, to: string, convert: function}>}
+     */
+    function getConversions(types) {
+      var conversions = typed.conversions.slice();
+
+      for (var i = 0; i < types.length; i++) {
+        var generic = parseGeneric(stripNullable(types[i]));
+        var conversion = generic ? createElementConversion(generic) : null;
+        if (conversion) {
+          conversions.push(conversion);
+        }
+      }
+
+      if (typed.config.conversionChains) {
+        conversions = conversions.concat(createConversionChains(types));
+      }
+
+      return conversions;
+    }
+
+    /**
+     * Create conversions to any of the given types which chain multiple
+     * conversions of typed.conversions, for example a conversion from
+     * number to Complex via BigNumber. Only types which cannot be converted
+     * directly get a chain, which is the chain with the least conversions.
+     * Chains of equal length are chosen by the order of typed.conversions.
+     * @param {string[]} types
+     * @return {Array.<{from: string, to: string, convert: function, path: string[]}>}
+     *     Returns the chained conversions, having the traversed types in
+     *     property path, like ['number', 'BigNumber', 'Complex']
+     */
+    function createConversionChains(types) {
+      // search backwards from the types, breadth first, for the shortest
+      // chain from every type which can be converted
+      var chains = {};
+      var queue = [];
+      types.forEach(function (type) {
+        var _type = stripNullable(type);
+        chains[_type] = [];
+        queue.push(_type);
+      });
+
+      while (queue.length > 0) {
+        var to = queue.shift();
+        for (var i = 0; i < typed.conversions.length; i++) {
+          var conversion = typed.conversions[i];
+          if (conversion.to === to && !chains.hasOwnProperty(conversion.from)) {
+            chains[conversion.from] = [conversion].concat(chains[to]);
+            queue.push(conversion.from);
+          }
+        }
+      }
+
+      var conversions = [];
+      for (var from in chains) {
+        if (chains.hasOwnProperty(from) && chains[from].length > 1) {
+          conversions.push(createConversionChain(chains[from]));
+        }
+      }
+
+      return conversions;
+    }
+
+    /**
+     * Compose a chain of conversions into a single conversion. The chain is
+     * fallible when any of the conversions is fallible. The cost of the chain
+     * is the total cost of the conversions, when any of them has a cost.
+     * @param {Array.<{from: string, to: string, convert: function}>} chain
+     * @return {{from: string, to: string, convert: function, path: string[]}}
+     */
+    function createConversionChain(chain) {
+      var path = [chain[0].from];
+      var fallible = false;
+      var cost = 0;
+      var hasCost = false;
+      for (var i = 0; i < chain.length; i++) {
+        path.push(chain[i].to);
+        fallible = fallible || !!chain[i].fallible;
+        cost += getConversionCost(chain[i]);
+        hasCost = hasCost || (chain[i].cost !== undefined);
+      }
+
+      return {
+        from: chain[0].from,
+        to: last(chain).to,
+        convert: function (x) {
+          var converted = x;
+          for (var i = 0; i < chain.length; i++) {
+            converted = chain[i].convert(converted);
+            if (chain[i].fallible && converted === NO_MATCH) {
+              return NO_MATCH;
+            }
+          }
+          return converted;
+        },
+        fallible: fallible,
+        path: path,
+        cost: hasCost ? cost : undefined
+      };
+    }
+
+    /**
+     * Create a conversion for a generic type which converts each of the
+     * elements using typed.conversions. For example, given a conversion from
+     * string to number, creates a conversion from 'Array.<number | string>'
+     * to 'Array.<number>'.
+     * @param {{base: string, types: string[]}} generic
+     * @return {{from: string, to: string, convert: function} | null}
+     *     Returns the conversion, or null when no element can be converted
+     */
+    function createElementConversion(generic) {
+      var sources = typed.conversions.filter(function (conversion) {
+        return !containsType(generic.types, conversion.from) &&
+            containsType(generic.types, conversion.to);
+      });
+      if (sources.length === 0) {
+        return null;
+      }
+
+      var fromTypes = generic.types.slice();
+      for (var i = 0; i < sources.length; i++) {
+        if (!contains(fromTypes, sources[i].from)) {
+          fromTypes.push(sources[i].from);
+        }
+      }
+
+      var elementTest = getUnionTest(generic.types);
+      var sourceTests = sources.map(function (conversion) {
+        return getTypeTest(conversion.from);
+      });
+
+      var fallible = false;
+      for (i = 0; i < sources.length; i++) {
+        fallible = fallible || !!sources[i].fallible;
+      }
+
+      function convertElement(x) {
+        if (elementTest(x)) {
+          return x;
+        }
+        for (var i = 0; i < sources.length; i++) {
+          if (sourceTests[i](x)) {
+            var converted = sources[i].convert(x);
+            if (!(sources[i].fallible && converted === NO_MATCH)) {
+              return converted;
+            }
+          }
+        }
+        return NO_MATCH;
+      }
+
+      return {
+        from: formatGeneric(generic.base, fromTypes),
+        to: formatGeneric(generic.base, generic.types),
+        convert: function (x) {
+          var converted = (generic.base === 'Array') ? [] : {};
+          for (var key in x) {
+            if (x.hasOwnProperty(key)) {
+              converted[key] = convertElement(x[key]);
+              if (converted[key] === NO_MATCH) {
+                return NO_MATCH;
+              }
+            }
+          }
+          return converted;
+        },
+        fallible: fallible
+      };
+    }
+
+    /**
+     * Get the cost of a conversion: its property cost, or 1 by default
+     * @param {{from: string, to: string, convert: function, cost: number}} conversion
+     * @return {number}
+     */
+    function getConversionCost(conversion) {
+      return (conversion.cost !== undefined) ? conversion.cost : 1;
+    }
+
+    /**
+     * Get the index of a conversion in typed.conversions. Conversions which
+     * are not listed there (like element-wise conversions) are ordered last.
+     * @param {{from: string, to: string, convert: function}} conversion
+     * @return {number}
+     */
+    function getConversionIndex(conversion) {
+      var index = typed.conversions.indexOf(conversion);
+      return index !== -1 ? index : typed.conversions.length;
+    }
+
+    /**
+     * Find the (nested) property of an object causing it not to match a
+     * record type.
+     * @param {string[]} types   The expected types. Only the first record type
+     *                           is taken into account.
+     * @param {*} value          The actual value
+     * @param {string} [path]    Path of value itself, like 'options'
+     * @return {{property: string, expected: string[], actual: *} | null}
+     *     Returns the mismatching property, or null when there is no record
+     *     type or value is no object.
+     */
+    function findPropertyMismatch(types, value, path) {
+      var props = null;
+      for (var i = 0; i < types.length && !props; i++) {
+        props = parseRecord(types[i]);
+      }
+      if (!props || value === null || typeof value !== 'object') {
+        return null;
+      }
+
+      for (i = 0; i < props.length; i++) {
+        var prop = props[i];
+        var propValue = value[prop.name];
+        var propPath = (path ? (path + '.') : '') + prop.name;
+
+        if (!(propValue === undefined && prop.optional) && !getUnionTest(prop.types)(propValue)) {
+          return findPropertyMismatch(prop.types, propValue, propPath) || {
+            property: propPath,
+            expected: prop.types,
+            actual: propValue
+          };
+        }
+      }
+
+      return null;
     }
 
     /**
@@ -90,51 +593,112 @@
      * Create an ArgumentsError. Creates messages like:
      *
      *   Unexpected type of argument (expected: ..., actual: ..., index: ...)
+     *   Unexpected type of property (expected: ..., actual: ..., index: ...)
      *   Too few arguments (expected: ..., index: ...)
      *   Too many arguments (expected: ..., actual: ...)
+     *   Too few arguments (expected: at least 2 arguments of type ..., actual: ..., index: ...)
      *
      * @param {String} fn         Function name
      * @param {number} argCount   Number of arguments
      * @param {Number} index      Current argument index
      * @param {*} actual          Current argument
-     * @param {string} [expected] An optional, comma separated string with
-     *                            expected types on given index
+     * @param {string[]} [expected] An optional array with the expected types
+     *                            on given index
+     * @param {{min: number, max: number, count: number}} [bounds]
+     *                            Bounds of the number of variable arguments
+     *                            starting at given index, and their count
      * @extends Error
      */
-    function createError(fn, argCount, index, actual, expected) {
+    function createError(fn, argCount, index, actual, expected, bounds) {
+      var data = createMismatch(fn, argCount, index, actual, expected, bounds);
+      var err = new TypeError(data.message);
+      delete data.message;
+      err.data = data;
+      return err;
+    }
+
+    /**
+     * Create the information about a mismatch: the error message and the
+     * data attached to an ArgumentsError. Passed as is to the handler
+     * typed.config.onMismatch, so no Error needs to be created there.
+     *
+     * @param {String} fn         Function name
+     * @param {number} argCount   Number of arguments
+     * @param {Number} index      Current argument index
+     * @param {*} actual          Current argument
+     * @param {string[]} [expected] An optional array with the expected types
+     *                            on given index
+     * @param {{min: number, max: number, count: number}} [bounds]
+     *                            Bounds of the number of variable arguments
+     *                            starting at given index, and their count
+     * @return {{message: string, fn: string, index: number, actual: *, expected: string[]}}
+     */
+    function createMismatch(fn, argCount, index, actual, expected, bounds) {
       var actualType = getTypeOf(actual);
-      var _expected = expected ? expected.split(',') : null;
+      var _expected = expected || null;
       var _fn = (fn || 'unnamed');
       var anyType = _expected && contains(_expected, 'any');
-      var message;
-      var data = {
+      var info = {
+        message: null,
         fn: fn,
         index: index,
         actual: actual,
         expected: _expected
       };
 
-      if (_expected) {
-        if (argCount > index && !anyType) {
+      if (bounds) {
+        // number of variable arguments out of bounds
+        var range = (bounds.min === bounds.max) ? ('exactly ' + bounds.min) :
+            (bounds.max === Infinity) ? ('at least ' + bounds.min) :
+            (bounds.min + ' to ' + bounds.max);
+        info.message = 'Too ' + (bounds.count < bounds.min ? 'few' : 'many') + ' arguments in function ' + _fn +
+            ' (expected: ' + range + ' arguments of type ' + formatExpected(_expected || ['any']) +
+            ', actual: ' + bounds.count + ', index: ' + index + ')';
+        info.min = bounds.min;
+        info.max = bounds.max;
+        info.count = bounds.count;
+      }
+      else if (_expected) {
+        var mismatch = (argCount > index && !anyType) ? findPropertyMismatch(_expected, actual) : null;
+        if (mismatch) {
+          // unexpected type of a property of a record type
+          info.message = 'Unexpected type of property ' + mismatch.property + ' in function ' + _fn +
+              ' (expected: ' + formatExpected(mismatch.expected) + ', actual: ' + getTypeOf(mismatch.actual) + ', index: ' + index + ')';
+          info.property = mismatch.property;
+          info.actual = mismatch.actual;
+          info.expected = mismatch.expected;
+        }
+        else if (argCount > index && !anyType) {
           // unexpected type
-          message = 'Unexpected type of argument in function ' + _fn +
-              ' (expected: ' + _expected.join(' or ') + ', actual: ' + actualType + ', index: ' + index + ')';
+          info.message = 'Unexpected type of argument in function ' + _fn +
+              ' (expected: ' + formatExpected(_expected) + ', actual: ' + actualType + ', index: ' + index + ')';
         }
         else {
           // too few arguments
-          message = 'Too few arguments in function ' + _fn +
-              ' (expected: ' + _expected.join(' or ') + ', index: ' + index + ')';
+          info.message = 'Too few arguments in function ' + _fn +
+              ' (expected: ' + formatExpected(_expected) + ', index: ' + index + ')';
         }
       }
       else {
         // too many arguments
-        message = 'Too many arguments in function ' + _fn +
+        info.message = 'Too many arguments in function ' + _fn +
             ' (expected: ' + index + ', actual: ' + argCount + ')'
       }
 
-      var err = new TypeError(message);
-      err.data = data;
-      return err;
+      return info;
+    }
+
+    /**
+     * Generate the code to handle a mismatch of the arguments: throw the
+     * error, or return the result of the mismatch handler when configured.
+     * @param {Refs} refs
+     * @param {string} error   Code creating the error
+     * @returns {string} Returns code
+     */
+    function mismatchToCode(refs, error) {
+      return refs.onMismatch ?
+          ('return onMismatch(' + error + ', Array.prototype.slice.call(arguments));') :
+          ('throw ' + error + ';');
     }
 
     /**
@@ -142,10 +706,22 @@
      * @constructor
      * @param {string} [name='refs']  Optional name for the refs, used to generate
      *                                JavaScript code
+     * @param {Object.<string, function>} [tests]
+     *                                Optional type tests by the name of their
+     *                                type, to generate code with the type
+     *                                tests of an existing typed function
      */
-    function Refs(name) {
+    function Refs(name, tests) {
       this.name = name || 'refs';
       this.categories = {};
+      this.tests = tests || {};
+
+      // optional function returning the function to invoke for a signature,
+      // instead of the function of the signature itself
+      this.mapSignature = null;
+
+      // true to pass mismatches to a handler onMismatch instead of throwing
+      this.onMismatch = false;
     }
 
     /**
@@ -167,6 +743,37 @@
       return cat + index;
     };
 
+    /**
+     * Add a reference to the test of a type
+     * @param {string} type
+     * @returns {string} Returns the function name, for example 'test0'
+     */
+    Refs.prototype.addTest = function (type) {
+      return this.add(this.getTest(type), 'test');
+    };
+
+    /**
+     * Get the test of a type. Tests are created once per type, and are
+     * reused when generating code again with the same tests.
+     * @param {string} type
+     * @returns {function(*): boolean}
+     */
+    Refs.prototype.getTest = function (type) {
+      if (!this.tests.hasOwnProperty(type)) {
+        this.tests[type] = getTypeTest(type);
+      }
+      return this.tests[type];
+    };
+
+    /**
+     * Add a reference to the function of a signature
+     * @param {Signature} signature
+     * @returns {string} Returns the function name, for example 'signature0'
+     */
+    Refs.prototype.addSignature = function (signature) {
+      return this.add(this.mapSignature ? this.mapSignature(signature) : signature.fn, 'signature');
+    };
+
     /**
      * Create code lines for all function references
      * @returns {string} Returns the code containing all function references
@@ -189,29 +796,100 @@
       return code.join('\n');
     };
 
+    /**
+     * Create code for a function refs.update(), which reads the function
+     * references of a category again after they are replaced
+     * @param {string} category   A function category, like 'signature'
+     * @returns {string} Returns the code defining the update function
+     */
+    Refs.prototype.toUpdateCode = function (category) {
+      var code = [this.name + '.update = function () {'];
+      var path = this.name + '.categories';
+      var functions = this.categories[category] || [];
+
+      for (var i = 0; i < functions.length; i++) {
+        code.push('  ' + category + i + ' = ' + path + '[\'' + category + '\'][' + i + '];');
+      }
+      code.push('};');
+
+      return code.join('\n');
+    };
+
+    /**
+     * Create a plain object with all function references
+     * @returns {Object.<string, Function>} Returns the functions by the name
+     *                                      by which the code refers to them,
+     *                                      like 'signature0' or 'test1'
+     */
+    Refs.prototype.toObject = function () {
+      var object = {};
+      var categories = this.categories;
+
+      for (var cat in categories) {
+        if (categories.hasOwnProperty(cat)) {
+          for (var i = 0; i < categories[cat].length; i++) {
+            object[cat + i] = categories[cat][i];
+          }
+        }
+      }
+
+      return object;
+    };
+
     /**
      * A function parameter
      * @param {string | string[] | Param} types    A parameter type like 'string',
-     *                                             'number | boolean'
+     *                                             'number | boolean', '[number]',
+     *                                             'number=', 'number = 10',
+     *                                             '...number' or '...number{2,}'
      * @param {boolean} [varArgs=false]            Variable arguments if true
+     * @param {boolean} [optional=false]           Optional parameter if true
+     * @param {*} [defaultValue]                   Default value of an optional
+     *                                             parameter
      * @constructor
      */
-    function Param(types, varArgs) {
+    function Param(types, varArgs, optional, defaultValue) {
       // parse the types, can be a string with types separated by pipe characters |
       if (typeof types === 'string') {
         // parse variable arguments operator (ellipses '...number')
         var _types = types.trim();
         var _varArgs = _types.substr(0, 3) === '...';
+        var _bounds = null;
         if (_varArgs) {
           _types = _types.substr(3);
+
+          // parse the bounds of the number of variable arguments
+          // ('...number{2}', '...number{2,}' or '...number{1,3}')
+          var match = /\{([^{}:]*)\}$/.exec(_types);
+          if (match && match.index > 0) {
+            _bounds = parseBounds(match[1]);
+            _types = _types.substring(0, match.index).trim();
+          }
+        }
+
+        // parse optional parameter operator ('[number]' or 'number=')
+        var _optional = false;
+        if (_types.charAt(0) === '[' && _types.charAt(_types.length - 1) === ']') {
+          _optional = true;
+          _types = _types.substring(1, _types.length - 1).trim();
+        }
+
+        // parse default value ('number = 10'), implies an optional parameter
+        var _defaultValue;
+        var assignment = splitTopLevel(_types, '=');
+        if (assignment.length > 1) {
+          _optional = true;
+          _types = assignment[0].trim();
+          _defaultValue = parseDefaultValue(assignment.slice(1).join('=').trim());
         }
+
         if (_types === '') {
           this.types = ['any'];
         }
         else {
-          this.types = _types.split('|');
+          this.types = splitTopLevel(_types, '|');
           for (var i = 0; i < this.types.length; i++) {
-            this.types[i] = this.types[i].trim();
+            this.types[i] = normalizeType(this.types[i]);
           }
         }
       }
@@ -232,6 +910,19 @@
       // variable arguments
       this.varArgs = _varArgs || varArgs || false;
 
+      // minimum and maximum number of variable arguments
+      this.min = _bounds ? _bounds.min : 1;
+      this.max = _bounds ? _bounds.max : Infinity;
+
+      // optional parameter
+      this.optional = _optional || optional || false;
+      if (this.varArgs && this.optional) {
+        throw new SyntaxError('Variable arguments cannot be optional');
+      }
+
+      // default value of an optional parameter, undefined when there is none
+      this.defaultValue = (_defaultValue !== undefined) ? _defaultValue : defaultValue;
+
       // check for any type arguments
       this.anyType = this.types.indexOf('any') !== -1;
     }
@@ -239,19 +930,29 @@
     /**
      * Order Params
      * any type ('any') will be ordered last, and object as second last (as other
-     * types may be an object as well, like Array).
+     * types may be an object as well, like Array). A nullable type like '?Date'
+     * is ordered after its non-nullable type and after null. Literal types like
+     * '"linear"' and '0..10' are ordered first, constants before ranges.
+     * Record types and generic types like 'Array.<number>' are ordered before
+     * their base type.
      *
      * @param {Param} a
      * @param {Param} b
+     * @param {Object.<string, number>} [typeIndexes]
+     *                    Indexes of the types as created by getTypeIndexes(),
+     *                    to be passed when comparing many params
      * @returns {number} Returns 1 if a > b, -1 if a < b, and else 0.
      */
-    Param.compare = function (a, b) {
+    Param.compare = function (a, b, typeIndexes) {
       // TODO: simplify parameter comparison, it's a mess
       if (a.anyType) return 1;
       if (b.anyType) return -1;
 
-      if (contains(a.types, 'Object')) return 1;
-      if (contains(b.types, 'Object')) return -1;
+      var aObject = containsType(a.types, 'Object');
+      var bObject = containsType(b.types, 'Object');
+      if (aObject && bObject) return isNullable(a.types[0]) - isNullable(b.types[0]);
+      if (aObject) return 1;
+      if (bObject) return -1;
 
       if (a.hasConversions()) {
         if (b.hasConversions()) {
@@ -271,7 +972,8 @@
             }
           }
 
-          return typed.conversions.indexOf(ac) - typed.conversions.indexOf(bc);
+          return (getConversionCost(ac) - getConversionCost(bc)) ||
+              (getConversionIndex(ac) - getConversionIndex(bc));
         }
         else {
           return 1;
@@ -284,22 +986,28 @@
         else {
           // both params have no conversions
           var ai, bi;
+          var aNullable = isNullable(a.types[0]);
+          var bNullable = isNullable(b.types[0]);
 
-          for (i = 0; i < typed.types.length; i++) {
-            if (typed.types[i].name === a.types[0]) {
-              ai = i;
-              break;
-            }
-          }
+          if (aNullable && b.types[0] === 'null') return 1;
+          if (bNullable && a.types[0] === 'null') return -1;
 
-          for (i = 0; i < typed.types.length; i++) {
-            if (typed.types[i].name === b.types[0]) {
-              bi = i;
-              break;
-            }
-          }
+          var aLiteral = literalOrder(stripNullable(a.types[0]));
+          var bLiteral = literalOrder(stripNullable(b.types[0]));
+          if (aLiteral !== bLiteral) return aLiteral - bLiteral;
+          if (aLiteral < 2) return aNullable - bNullable;
 
-          return ai - bi;
+          var aName = getBaseType(a.types[0]);
+          var bName = getBaseType(b.types[0]);
+          var aRefined = aName !== stripNullable(a.types[0]);
+          var bRefined = bName !== stripNullable(b.types[0]);
+
+          // subtypes are ordered before their supertypes
+          var indexes = typeIndexes || getTypeIndexes();
+          ai = getTypeIndex(aName, indexes);
+          bi = getTypeIndex(bName, indexes);
+
+          return (ai - bi) || (bRefined - aRefined) || (aNullable - bNullable);
         }
       }
     };
@@ -319,6 +1027,56 @@
       return false;
     };
 
+    /**
+     * Test whether values accepted by this parameter may be accepted by an
+     * other parameter too, like '"linear"' and 'string', '{a: number}' and
+     * 'Object', 'Array.<number>' and 'Array', or a subtype and its supertype.
+     * Parameters with conversions are tested for the types they convert from.
+     * @param {Param} other
+     * @return {boolean} Returns true when the parameters may accept the same
+     *                   values
+     */
+    Param.prototype.overlappingValues = function (other) {
+      for (var i = 0; i < this.types.length; i++) {
+        for (var j = 0; j < other.types.length; j++) {
+          if (overlappingTypes(this.types[i], other.types[j]) ||
+              overlappingTypes(other.types[j], this.types[i])) {
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
+    /**
+     * Test whether values of type a may be values of type b too. This is a
+     * helper function of Param.prototype.overlappingValues
+     * @param {string} a
+     * @param {string} b
+     * @return {boolean}
+     * @private
+     */
+    function overlappingTypes(a, b) {
+      if (isNullable(a) && b === 'null') {
+        return true;
+      }
+
+      var aLiteral = parseLiteral(stripNullable(a));
+      var bLiteral = parseLiteral(stripNullable(b));
+      if (aLiteral && bLiteral) {
+        // literals overlap only when they have a value in common
+        var aMin = ('value' in aLiteral) ? aLiteral.value : aLiteral.min;
+        var aMax = ('value' in aLiteral) ? aLiteral.value : aLiteral.max;
+        var bMin = ('value' in bLiteral) ? bLiteral.value : bLiteral.min;
+        var bMax = ('value' in bLiteral) ? bLiteral.value : bLiteral.max;
+        return typeof aMin === typeof bMin && aMin <= bMax && bMin <= aMax;
+      }
+
+      var aType = getValueType(a);
+      var bType = getValueType(b);
+      return aType === bType || isSubtype(aType, bType);
+    }
+
     /**
      * Test whether this parameters types matches an other parameters types.
      * When any of the two parameters contains `any`, true is returned
@@ -329,13 +1087,43 @@
       return this.anyType || other.anyType || this.overlapping(other);
     };
 
+    /**
+     * Test whether an argument of given type would be accepted by this
+     * parameter: when the parameter contains the type, its nullable variant,
+     * or `any`. A nullable parameter accepts type 'null' too.
+     * @param {string} type             A type like 'number'
+     * @param {boolean} allowConversions  When false, types which would be
+     *                                  converted are not accepted.
+     * @return {boolean} Returns true when the type is accepted
+     */
+    Param.prototype.acceptsType = function (type, allowConversions) {
+      if (this.anyType) {
+        return true;
+      }
+
+      for (var i = 0; i < this.types.length; i++) {
+        var type_i = this.types[i];
+        var accepts = (type_i === type) || isSubtype(type, type_i) ||
+            (isNullable(type_i) && (stripNullable(type_i) === type || type === 'null' ||
+            isSubtype(type, stripNullable(type_i))));
+
+        if (accepts && (allowConversions || !this.conversions[i])) {
+          return true;
+        }
+      }
+
+      return false;
+    };
+
     /**
      * Create a clone of this param
      * @returns {Param} Returns a cloned version of this param
      */
     Param.prototype.clone = function () {
-      var param = new Param(this.types.slice(), this.varArgs);
+      var param = new Param(this.types.slice(), this.varArgs, this.optional, this.defaultValue);
       param.conversions = this.conversions.slice();
+      param.min = this.min;
+      param.max = this.max;
       return param;
     };
 
@@ -345,24 +1133,76 @@
      *                    multiple conversions.
      */
     Param.prototype.hasConversions = function () {
-      return this.conversions.length > 0;
+      // conversions can be removed from variable arguments, leaving holes
+      for (var i = 0; i < this.conversions.length; i++) {
+        if (this.conversions[i]) {
+          return true;
+        }
+      }
+      return false;
     };
 
     /**
-     * Tests whether this parameters contains any of the provided types
+     * Tests whether this parameters contains any of the provided types.
+     * A nullable type like '?Date' matches the type 'Date'.
      * @param {Object} types  A Map with types, like {'number': true}
      * @returns {boolean}     Returns true when the parameter contains any
      *                        of the provided types
      */
     Param.prototype.contains = function (types) {
       for (var i = 0; i < this.types.length; i++) {
-        if (types[this.types[i]]) {
+        if (types[stripNullable(this.types[i])]) {
           return true;
         }
       }
       return false;
     };
 
+    /**
+     * Generate the code for the value of this parameter when omitted: its
+     * default value or undefined. A default value not matching the types of
+     * the parameter is converted using typed.conversions.
+     * @param {Refs} refs
+     * @returns {string} Returns code
+     */
+    Param.prototype.defaultToCode = function (refs) {
+      if (this.defaultValue === undefined) {
+        return 'undefined';
+      }
+
+      var value = JSON.stringify(this.defaultValue);
+      if (this.anyType) {
+        return value;
+      }
+
+      for (var i = 0; i < this.types.length; i++) {
+        if (refs.getTest(this.types[i])(this.defaultValue)) {
+          return value;
+        }
+      }
+
+      // the conversion is looked up once, so code generated again from this
+      // parameter converts the default value in the same way
+      if (this.defaultConversion === undefined) {
+        var conversions = getConversions(this.types);
+        for (i = 0; i < conversions.length; i++) {
+          var conversion = conversions[i];
+          if (containsType(this.types, conversion.to) &&
+              refs.getTest(conversion.from)(this.defaultValue) &&
+              !(conversion.fallible && conversion.convert(this.defaultValue) === NO_MATCH)) {
+            this.defaultConversion = conversion;
+            break;
+          }
+        }
+      }
+
+      if (!this.defaultConversion) {
+        throw new TypeError('Default value ' + value + ' does not match parameter "' + this + '"');
+      }
+
+      return refs.add(this.defaultConversion.convert, 'convert') + '(' + value + ')';
+    };
+
     /**
      * Return a string representation of this params types, like 'string' or
      * 'number | boolean' or '...number'
@@ -385,21 +1225,58 @@
         }
       }
 
-      return (this.varArgs ? '...' : '') + types.join('|');
+      return (this.varArgs ? '...' : '') + types.join('|') + this.boundsToString();
+    };
+
+    /**
+     * Return a string representation of the bounds of the number of variable
+     * arguments, like '{2}', '{2,}' or '{1,3}'. Returns an empty string when
+     * the number of variable arguments is not bounded.
+     * @returns {string}
+     */
+    Param.prototype.boundsToString = function () {
+      if (this.min === 1 && this.max === Infinity) {
+        return '';
+      }
+      if (this.min === this.max) {
+        return '{' + this.min + '}';
+      }
+      return '{' + this.min + ',' + (this.max !== Infinity ? this.max : '') + '}';
+    };
+
+    /**
+     * Test whether the number of variable arguments is bounded
+     * @returns {boolean}
+     */
+    Param.prototype.isBounded = function () {
+      return this.min !== 1 || this.max !== Infinity;
     };
 
     /**
      * A function signature
      * @param {string | string[] | Param[]} params
      *                         Array with the type(s) of each parameter,
-     *                         or a comma separated string with types
-     * @param {Function} fn    The actual function
+     *                         or a comma separated string with types,
+     *                         optionally followed by a return type like
+     *                         'number, number -> number'
+     * @param {Function} fn    The actual function. When the signature has no
+     *                         return type, it is read from a property
+     *                         `returns` of the function, if any.
      * @constructor
      */
     function Signature(params, fn) {
       var _params;
+      var _returns = (fn && typeof fn.returns === 'string') ? fn.returns : null;
       if (typeof params === 'string') {
-        _params = (params !== '') ? params.split(',') : [];
+        var parts = splitTopLevel(params, '->');
+        if (parts.length > 2) {
+          throw new SyntaxError('Unexpected return type operator "->"');
+        }
+        if (parts.length === 2) {
+          _returns = parts[1];
+        }
+        var _paramsStr = parts[0].trim();
+        _params = (_paramsStr !== '') ? splitTopLevel(_paramsStr, ',') : [];
       }
       else if (Array.isArray(params)) {
         _params = params;
@@ -411,21 +1288,56 @@
       this.params = new Array(_params.length);
       this.anyType = false;
       this.varArgs = false;
+
+      // number of fixed parameters following the variable arguments,
+      // like "Function" in "...any, Function"
+      this.trailing = 0;
+
+      var optional = false;
       for (var i = 0; i < _params.length; i++) {
         var param = new Param(_params[i]);
         this.params[i] = param;
         if (param.anyType) {
           this.anyType = true;
         }
-        if (i === _params.length - 1) {
-          // the last argument
-          this.varArgs = param.varArgs;
-        }
-        else {
-          // non-last argument
+
+        if (this.varArgs) {
+          // a parameter following the variable arguments
           if (param.varArgs) {
             throw new SyntaxError('Unexpected variable arguments operator "..."');
           }
+          if (param.optional) {
+            throw new SyntaxError('Unexpected optional parameter "' + param + '" after variable arguments');
+          }
+          this.trailing++;
+        }
+        else if (param.varArgs) {
+          this.varArgs = true;
+        }
+
+        // optional parameters can only be followed by optional parameters
+        if (param.optional) {
+          optional = true;
+        }
+        else if (optional) {
+          throw new SyntaxError('Unexpected required parameter "' + param + '" after optional parameters');
+        }
+      }
+
+      // optional parameters which are omitted in this signature. They are
+      // passed to fn as their default value or undefined
+      this.omitted = [];
+
+      // the signature as declared, like 'string | boolean, [number]'. Set when
+      // parsing the signatures of a typed function
+      this.declaration = null;
+
+      // the return type, null when not declared
+      this.returns = null;
+      if (_returns !== null) {
+        this.returns = new Param(_returns);
+        if (_returns.trim() === '' || this.returns.varArgs || this.returns.optional) {
+          throw new SyntaxError('Invalid return type "' + _returns.trim() + '"');
         }
       }
 
@@ -437,12 +1349,18 @@
      * @returns {Signature} Returns a cloned version of this signature
      */
     Signature.prototype.clone = function () {
-      return new Signature(this.params.slice(), this.fn);
+      var signature = new Signature(this.params.slice(), this.fn);
+      signature.omitted = this.omitted.slice();
+      signature.returns = this.returns;
+      signature.declaration = this.declaration;
+      return signature;
     };
 
     /**
      * Expand a signature: split params with union types in separate signatures
      * For example split a Signature "string | number" into two signatures.
+     * Optional parameters are split into a signature with and a signature
+     * without the parameter.
      * @return {Signature[]} Returns an array with signatures (at least one)
      */
     Signature.prototype.expand = function () {
@@ -453,15 +1371,24 @@
           var i, newParam, conversion;
 
           var param = signature.params[path.length];
+          var conversions = getConversions(param.types);
+          if (param.optional) {
+            // create a signature where this and all remaining params are omitted
+            var omitting = new Signature(path, signature.fn);
+            omitting.omitted = signature.params.slice(path.length);
+            omitting.returns = signature.returns;
+            signatures.push(omitting);
+          }
+
           if (param.varArgs) {
             // a variable argument. do not split the types in the parameter
             newParam = param.clone();
 
             // add conversions to the parameter
             // recurse for all conversions
-            for (i = 0; i < typed.conversions.length; i++) {
-              conversion = typed.conversions[i];
-              if (!contains(param.types, conversion.from) && contains(param.types, conversion.to)) {
+            for (i = 0; i < conversions.length; i++) {
+              conversion = conversions[i];
+              if (!containsType(param.types, conversion.from) && containsType(param.types, conversion.to)) {
                 var j = newParam.types.length;
                 newParam.types[j] = conversion.from;
                 newParam.conversions[j] = conversion;
@@ -473,14 +1400,14 @@
           else {
             // split each type in the parameter
             for (i = 0; i < param.types.length; i++) {
-              recurse(signature, path.concat(new Param(param.types[i])));
+              recurse(signature, path.concat(new Param([param.types[i]], false, param.optional, param.defaultValue)));
             }
 
             // recurse for all conversions
-            for (i = 0; i < typed.conversions.length; i++) {
-              conversion = typed.conversions[i];
-              if (!contains(param.types, conversion.from) && contains(param.types, conversion.to)) {
-                newParam = new Param(conversion.from);
+            for (i = 0; i < conversions.length; i++) {
+              conversion = conversions[i];
+              if (!containsType(param.types, conversion.from) && containsType(param.types, conversion.to)) {
+                newParam = new Param([conversion.from], false, param.optional, param.defaultValue);
                 newParam.conversions[0] = conversion;
                 recurse(signature, path.concat(newParam));
               }
@@ -488,7 +1415,9 @@
           }
         }
         else {
-          signatures.push(new Signature(path, signature.fn));
+          var expanded = new Signature(path, signature.fn);
+          expanded.returns = signature.returns;
+          signatures.push(expanded);
         }
       }
 
@@ -500,33 +1429,30 @@
     /**
      * Compare two signatures.
      *
-     * When two params are equal and contain conversions, they will be sorted
-     * by lowest index of the first conversions.
+     * Signatures are sorted by the total cost of their conversions. When two
+     * params are equal and contain conversions, they will be sorted by the
+     * lowest cost and then the lowest index of the first conversions.
      *
      * @param {Signature} a
      * @param {Signature} b
+     * @param {Object.<string, number>} [typeIndexes]
+     *                    Indexes of the types as created by getTypeIndexes(),
+     *                    to be passed when comparing many signatures
      * @returns {number} Returns 1 if a > b, -1 if a < b, and else 0.
      */
-    Signature.compare = function (a, b) {
+    Signature.compare = function (a, b, typeIndexes) {
       if (a.params.length > b.params.length) return 1;
       if (a.params.length < b.params.length) return -1;
 
-      // count the number of conversions
-      var i;
-      var len = a.params.length; // a and b have equal amount of params
-      var ac = 0;
-      var bc = 0;
-      for (i = 0; i < len; i++) {
-        if (a.params[i].hasConversions()) ac++;
-        if (b.params[i].hasConversions()) bc++;
-      }
-
+      // compare the total cost of the conversions
+      var ac = a.getConversionCost();
+      var bc = b.getConversionCost();
       if (ac > bc) return 1;
       if (ac < bc) return -1;
 
       // compare the order per parameter
-      for (i = 0; i < a.params.length; i++) {
-        var cmp = Param.compare(a.params[i], b.params[i]);
+      for (var i = 0; i < a.params.length; i++) {
+        var cmp = Param.compare(a.params[i], b.params[i], typeIndexes);
         if (cmp !== 0) {
           return cmp;
         }
@@ -535,6 +1461,38 @@
       return 0;
     };
 
+    /**
+     * Get the total cost of the conversions of the parameters. The cost of a
+     * parameter is the lowest cost of its conversions.
+     * @return {number}
+     */
+    Signature.prototype.getConversionCost = function () {
+      var cost = 0;
+      for (var i = 0; i < this.params.length; i++) {
+        var costs = this.params[i].conversions.filter(Boolean).map(getConversionCost);
+        if (costs.length > 0) {
+          cost += Math.min.apply(Math, costs);
+        }
+      }
+      return cost;
+    };
+
+    /**
+     * Test whether any of the parameters has a conversion with a cost
+     * @return {boolean}
+     */
+    Signature.prototype.hasConversionCost = function () {
+      for (var i = 0; i < this.params.length; i++) {
+        var conversions = this.params[i].conversions;
+        for (var j = 0; j < conversions.length; j++) {
+          if (conversions[j] && conversions[j].cost !== undefined) {
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
     /**
      * Test whether any of the signatures parameters has conversions
      * @return {boolean} Returns true when any of the parameters contains
@@ -549,6 +1507,22 @@
       return false;
     };
 
+    /**
+     * Test whether any of the parameters other than variable arguments has
+     * conversions. Conversions of variable arguments are added to the
+     * parameter itself, and do not create a separate signature.
+     * @return {boolean} Returns true when any of the parameters without
+     *                   variable arguments contains conversions.
+     */
+    Signature.prototype.hasFixedConversions = function () {
+      for (var i = 0; i < this.params.length; i++) {
+        if (!this.params[i].varArgs && this.params[i].hasConversions()) {
+          return true;
+        }
+      }
+      return false;
+    };
+
     /**
      * Test whether this signature should be ignored.
      * Checks whether any of the parameters contains a type listed in
@@ -581,11 +1555,10 @@
         return true;
       }
 
-      var aLast = last(this.params);
       var bLast = last(params);
 
       for (var i = 0; i < params.length; i++) {
-        var a = this.params[i] || (aLast.varArgs ? aLast: null);
+        var a = this.getParam(i);
         var b = params[i]      || (bLast.varArgs ? bLast: null);
 
         if (!a ||  !b || !a.matches(b)) {
@@ -596,6 +1569,65 @@
       return true;
     };
 
+    /**
+     * Get the parameter at given index. For an index beyond the last
+     * parameter, the last parameter is returned when it has variable
+     * arguments.
+     *
+     * Trailing parameters following variable arguments are matched from the
+     * end of the arguments, and are only returned when the number of
+     * arguments is provided. Else the variable arguments are returned.
+     * @param {number} index
+     * @param {number} [count]   The number of arguments
+     * @return {Param | undefined}
+     */
+    Signature.prototype.getParam = function (index, count) {
+      if (this.trailing > 0) {
+        var varArgsIndex = this.params.length - this.trailing - 1;
+        if (index < varArgsIndex) {
+          return this.params[index];
+        }
+        if (count !== undefined && index >= count - this.trailing) {
+          return this.params[this.params.length - (count - index)];
+        }
+        return this.params[varArgsIndex];
+      }
+
+      var lastParam = last(this.params);
+      return this.params[index] || ((lastParam && lastParam.varArgs) ? lastParam : undefined);
+    };
+
+    /**
+     * Test whether this signature would be invoked for arguments with given
+     * types.
+     * @param {string[]} types            The types of the arguments
+     * @param {boolean} allowConversions  When false, a signature is not
+     *                                    matched via conversions.
+     * @return {boolean} Returns true when the signature matches
+     */
+    Signature.prototype.acceptsTypes = function (types, allowConversions) {
+      if (this.varArgs ? (types.length < this.params.length) : (types.length !== this.params.length)) {
+        return false;
+      }
+
+      if (this.varArgs) {
+        // test the number of variable arguments against its bounds
+        var varArgs = this.params[this.params.length - this.trailing - 1];
+        var count = types.length - this.params.length + 1;
+        if (count < varArgs.min || count > varArgs.max) {
+          return false;
+        }
+      }
+
+      for (var i = 0; i < types.length; i++) {
+        if (!this.getParam(i, types.length).acceptsType(types[i], allowConversions)) {
+          return false;
+        }
+      }
+
+      return true;
+    };
+
     /**
      * Generate the code to invoke this signature
      * @param {Refs} refs
@@ -604,30 +1636,108 @@
      */
     Signature.prototype.toCode = function (refs, prefix) {
       var code = [];
+      var fallible = [];
 
       var args = new Array(this.params.length);
       for (var i = 0; i < this.params.length; i++) {
         var param = this.params[i];
         var conversion = param.conversions[0];
+        var arg = this.argToCode(i);
+        var argIndex = this.argIndexToCode(i);
         if (param.varArgs) {
           args[i] = 'varArgs';
         }
+        else if (conversion && conversion.fallible) {
+          // the result of a fallible conversion must be checked before invoking
+          args[i] = 'converted' + i;
+          code.push(prefix + 'var ' + args[i] + ';');
+          fallible.push({
+            test: '(' + args[i] + ' = ' + refs.add(conversion.convert, 'convert') + '(' + arg + ')) === NO_MATCH',
+            error: 'mismatch = mismatch || createError(name, arguments.length, ' + argIndex + ', ' + arg + ', ' +
+                JSON.stringify([conversion.to]) + ');'
+          });
+        }
         else if (conversion) {
-          args[i] = refs.add(conversion.convert, 'convert') + '(arg' + i + ')';
+          args[i] = refs.add(conversion.convert, 'convert') + '(' + arg + ')';
         }
         else {
-          args[i] = 'arg' + i;
+          args[i] = arg;
         }
       }
 
-      var ref = this.fn ? refs.add(this.fn, 'signature') : undefined;
+      // omitted optional parameters
+      for (i = 0; i < this.omitted.length; i++) {
+        args.push(this.omitted[i].defaultToCode(refs));
+      }
+
+      var ref = this.fn ? refs.addSignature(this) : undefined;
       if (ref) {
-        return prefix + 'return ' + ref + '(' + args.join(', ') + '); // signature: ' + this.params.join(', ');
+        var invoke = 'return ' + ref + '(' + args.join(', ') + '); // signature: ' + this.params.join(', ');
+        if (fallible.length > 0) {
+          // record an error for the first conversion which fails
+          for (i = 0; i < fallible.length; i++) {
+            code.push(prefix + (i > 0 ? 'else ' : '') + 'if (' + fallible[i].test + ') {');
+            code.push(prefix + '  ' + fallible[i].error);
+            code.push(prefix + '}');
+          }
+          code.push(prefix + 'else {');
+          code.push(prefix + '  ' + invoke);
+          code.push(prefix + '}');
+        }
+        else {
+          code.push(prefix + invoke);
+        }
       }
 
       return code.join('\n');
     };
 
+    /**
+     * Generate the code referring to the argument of the parameter at given
+     * index. Trailing parameters following variable arguments refer to the
+     * arguments counted from the end.
+     * @param {number} index
+     * @returns {string} Returns code
+     */
+    Signature.prototype.argToCode = function (index) {
+      return (index >= this.params.length - this.trailing) ?
+          ('arguments[' + this.argIndexToCode(index) + ']') :
+          ('arg' + index);
+    };
+
+    /**
+     * Generate the code for the index of the argument of the parameter at
+     * given index.
+     * @param {number} index
+     * @returns {string} Returns code
+     */
+    Signature.prototype.argIndexToCode = function (index) {
+      return (index >= this.params.length - this.trailing) ?
+          ('arguments.length - ' + (this.params.length - index)) :
+          String(index);
+    };
+
+    /**
+     * Test whether any of the parameters of this signature has a fallible
+     * conversion, which may fail to convert a value, or bounds on the number
+     * of variable arguments, which may fail to match.
+     * @return {boolean}
+     */
+    Signature.prototype.isFallible = function () {
+      for (var i = 0; i < this.params.length; i++) {
+        if (this.params[i].varArgs && this.params[i].isBounded()) {
+          return true;
+        }
+        var conversions = this.params[i].conversions;
+        for (var j = 0; j < conversions.length; j++) {
+          if (conversions[j] && conversions[j].fallible) {
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
     /**
      * Return a string representation of the signature
      * @returns {string}
@@ -636,22 +1746,67 @@
       return this.params.join(', ');
     };
 
+    /**
+     * Return the normalized signature of the function invoked by this
+     * signature, like 'string,number' or 'string,[number=10]'. Converted
+     * parameters are listed with the type where they convert to, and omitted
+     * optional parameters are listed too.
+     * @returns {string}
+     */
+    Signature.prototype.getKey = function () {
+      var params = this.params.concat(this.omitted);
+      var keys = [];
+      for (var i = 0; i < params.length; i++) {
+        var param = params[i];
+        var key = param.toString(true);
+        keys[i] = !param.optional ? key :
+            ('[' + key + (param.defaultValue !== undefined ? ('=' + JSON.stringify(param.defaultValue)) : '') + ']');
+      }
+      return keys.join(',');
+    };
+
     /**
      * A group of signatures with the same parameter on given index
      * @param {Param[]} path
      * @param {Signature} [signature]
      * @param {Node[]} childs
      * @param {boolean} [fallThrough=false]
+     * @param {boolean} [fallible=false]   True when the node contains signatures
+     *                                     with fallible conversions
+     * @param {Signature[]} [trailing]     Signatures with trailing parameters
+     *                                     following the variable arguments of
+     *                                     this node
      * @constructor
      */
-    function Node(path, signature, childs, fallThrough) {
+    function Node(path, signature, childs, fallThrough, fallible, trailing) {
       this.path = path || [];
       this.param = path[path.length - 1] || null;
       this.signature = signature || null;
       this.childs = childs || [];
       this.fallThrough = fallThrough || false;
+      this.fallible = fallible || false;
+      this.trailing = trailing || [];
     }
 
+    /**
+     * Create a plain object describing this node and its childs
+     * @returns {{param: string | null, signature: string | null, trailing: string[], fallThrough: boolean, fallible: boolean, childs: Array}}
+     */
+    Node.prototype.toObject = function () {
+      return {
+        param: this.param ? this.param.toString() : null,
+        signature: this.signature ? this.signature.toString() : null,
+        trailing: this.trailing.map(function (signature) {
+          return signature.toString();
+        }),
+        fallThrough: this.fallThrough,
+        fallible: this.fallible,
+        childs: this.childs.map(function (child) {
+          return child.toObject();
+        })
+      };
+    };
+
     /**
      * Generate code for this group of signatures
      * @param {Refs} refs
@@ -665,63 +1820,28 @@
       if (this.param) {
         var index = this.path.length - 1;
         var conversion = this.param.conversions[0];
-        var comment = '// type: ' + (conversion ?
-                (conversion.from + ' (convert to ' + conversion.to + ')') :
-                this.param);
+        var comment = '// type: ' + (conversion ? conversionToString(conversion) : this.param);
 
         // non-root node (path is non-empty)
         if (this.param.varArgs) {
           if (this.param.anyType) {
             // variable arguments with any type
             code.push(prefix + 'if (arguments.length > ' + index + ') {');
-            code.push(prefix + '  var varArgs = [];');
-            code.push(prefix + '  for (var i = ' + index + '; i < arguments.length; i++) {');
-            code.push(prefix + '    varArgs.push(arguments[i]);');
-            code.push(prefix + '  }');
-            code.push(this.signature.toCode(refs, prefix + '  '));
-            code.push(prefix + '}');
           }
           else {
             // variable arguments with a fixed type
-            var getTests = function (types, arg) {
-              var tests = [];
-              for (var i = 0; i < types.length; i++) {
-                tests[i] = refs.add(getTypeTest(types[i]), 'test') + '(' + arg + ')';
-              }
-              return tests.join(' || ');
-            }.bind(this);
-
-            var allTypes = this.param.types;
-            var exactTypes = [];
-            for (var i = 0; i < allTypes.length; i++) {
-              if (this.param.conversions[i] === undefined) {
-                exactTypes.push(allTypes[i]);
-              }
-            }
-
-            code.push(prefix + 'if (' + getTests(allTypes, 'arg' + index) + ') { ' + comment);
-            code.push(prefix + '  var varArgs = [arg' + index + '];');
-            code.push(prefix + '  for (var i = ' + (index + 1) + '; i < arguments.length; i++) {');
-            code.push(prefix + '    if (' + getTests(exactTypes, 'arguments[i]') + ') {');
-            code.push(prefix + '      varArgs.push(arguments[i]);');
-
-            for (var i = 0; i < allTypes.length; i++) {
-              var conversion_i = this.param.conversions[i];
-              if (conversion_i) {
-                var test = refs.add(getTypeTest(allTypes[i]), 'test');
-                var convert = refs.add(conversion_i.convert, 'convert');
-                code.push(prefix + '    }');
-                code.push(prefix + '    else if (' + test + '(arguments[i])) {');
-                code.push(prefix + '      varArgs.push(' + convert + '(arguments[i]));');
-              }
-            }
-            code.push(prefix + '    } else {');
-            code.push(prefix + '      throw createError(name, arguments.length, i, arguments[i], \'' + exactTypes.join(',') + '\');');
-            code.push(prefix + '    }');
-            code.push(prefix + '  }');
-            code.push(this.signature.toCode(refs, prefix + '  '));
-            code.push(prefix + '}');
+            code.push(prefix + 'if (' + this._testsToCode(refs, this.param.types, 'arg' + index) + ') { ' + comment);
+          }
+          for (var i = 0; i < this.trailing.length; i++) {
+            code.push(this._trailingToCode(refs, prefix + '  ', this.trailing[i]));
+          }
+          if (this.signature) {
+            code.push(this._varArgsToCode(refs, prefix + '  ', 'arguments.length', this.signature));
           }
+          else if (!this.fallThrough || this.fallible) {
+            code.push(this._trailingMismatchToCode(refs, prefix + '  '));
+          }
+          code.push(prefix + '}');
         }
         else {
           if (this.param.anyType) {
@@ -732,7 +1852,7 @@
           else {
             // regular type
             var type = this.param.types[0];
-            var test = type !== 'any' ? refs.add(getTypeTest(type), 'test') : null;
+            var test = type !== 'any' ? refs.addTest(type) : null;
 
             code.push(prefix + 'if (' + test + '(arg' + index + ')) { ' + comment);
             code.push(this._innerCode(refs, prefix + '  '));
@@ -749,54 +1869,366 @@
     };
 
     /**
-     * Generate inner code for this group of signatures.
+     * Describe a conversion of a parameter, like 'string (convert to number)'
+     * or 'string (convert to Fraction via number)' for a chain of conversions
+     * @param {{from: string, to: string, path?: string[]}} conversion
+     * @returns {string}
+     */
+    function conversionToString(conversion) {
+      return conversion.from + ' (convert to ' + conversion.to +
+          (conversion.path ? (' via ' + conversion.path.slice(1, -1).join(', ')) : '') + ')';
+    }
+
+    /**
+     * Generate code testing whether an argument has one of the given types.
+     * This is a helper function of Node.prototype.toCode
+     * @param {Refs} refs
+     * @param {string[]} types
+     * @param {string} arg      Code referring to the argument
+     * @returns {string} Returns the code as string
+     * @private
+     */
+    Node.prototype._testsToCode = function (refs, types, arg) {
+      var tests = [];
+      for (var i = 0; i < types.length; i++) {
+        tests[i] = refs.addTest(types[i]) + '(' + arg + ')';
+      }
+      return tests.join(' || ');
+    };
+
+    /**
+     * Generate code collecting the variable arguments of this node in an
+     * array varArgs, up to a given end, and invoking a signature with them.
+     * Arguments are converted when needed. When the number of variable
+     * arguments is out of bounds, the error is recorded and the code falls
+     * through to the next signatures.
      * This is a helper function of Node.prototype.toCode
      * @param {Refs} refs
      * @param {string} prefix
-     * @returns {string} Returns the inner code as string
+     * @param {string} end      Code with the index of the first argument
+     *                          following the variable arguments
+     * @param {Signature} signature
+     * @returns {string} Returns the code as string
      * @private
      */
-    Node.prototype._innerCode = function (refs, prefix) {
+    Node.prototype._varArgsToCode = function (refs, prefix, end, signature) {
       var code = [];
-      var i;
 
-      if (this.signature) {
-        code.push(prefix + 'if (arguments.length === ' + this.path.length + ') {');
-        code.push(this.signature.toCode(refs, prefix + '  '));
+      if (this.param.isBounded()) {
+        code.push(this._boundsToCode(prefix, end));
+        code.push(prefix + 'else {');
+        code.push(this._collectToCode(refs, prefix + '  ', end));
+        code.push(this._invokeVarArgsToCode(refs, prefix + '  ', signature));
         code.push(prefix + '}');
       }
+      else {
+        code.push(this._collectToCode(refs, prefix, end));
+        code.push(this._invokeVarArgsToCode(refs, prefix, signature));
+      }
 
-      for (i = 0; i < this.childs.length; i++) {
-        code.push(this.childs[i].toCode(refs, prefix));
+      return code.join('\n');
+    };
+
+    /**
+     * Generate code invoking a signature with the collected variable
+     * arguments. In a node which is fallible or falls through, the collecting
+     * can have failed, in which case varArgs is null and the next signatures
+     * are tried.
+     * This is a helper function of Node.prototype.toCode
+     * @param {Refs} refs
+     * @param {string} prefix
+     * @param {Signature} signature
+     * @returns {string} Returns the code as string
+     * @private
+     */
+    Node.prototype._invokeVarArgsToCode = function (refs, prefix, signature) {
+      if (!(this.fallible || this.fallThrough) || this.param.anyType) {
+        return signature.toCode(refs, prefix);
       }
 
-      // TODO: shouldn't the this.param.anyType check be redundant
-      if (!this.fallThrough || (this.param && this.param.anyType)) {
-        var exceptions = this._exceptions(refs, prefix);
-        if (exceptions) {
-          code.push(exceptions);
-        }
+      return [
+        prefix + 'if (varArgs) {',
+        signature.toCode(refs, prefix + '  '),
+        prefix + '}'
+      ].join('\n');
+    };
+
+    /**
+     * Generate code recording an error when the number of variable arguments
+     * of this node is out of bounds.
+     * This is a helper function of Node.prototype.toCode
+     * @param {string} prefix
+     * @param {string} end      Code with the index of the first argument
+     *                          following the variable arguments
+     * @returns {string} Returns the code as string
+     * @private
+     */
+    Node.prototype._boundsToCode = function (prefix, end) {
+      var code = [];
+      var index = this.path.length - 1;
+      var count = end + ' - ' + index;
+      var tests = [];
+      if (this.param.min > 1) {
+        tests.push(count + ' < ' + this.param.min);
+      }
+      if (this.param.max !== Infinity) {
+        tests.push(count + ' > ' + this.param.max);
       }
+      var exact = this.param.types.filter(function (type, i) {
+        return !this.param.conversions[i];
+      }, this);
+
+      code.push(prefix + 'if (' + tests.join(' || ') + ') {');
+      code.push(prefix + '  mismatch = mismatch || createError(name, arguments.length, ' + index + ', arg' + index + ', ' +
+          JSON.stringify(exact) + ', {min: ' + this.param.min + ', max: ' + this.param.max + ', count: ' + count + '});');
+      code.push(prefix + '}');
 
       return code.join('\n');
     };
 
-
     /**
-     * Generate code to throw exceptions
+     * Generate code collecting the variable arguments of this node in an
+     * array varArgs, up to a given end. Arguments are converted when needed.
+     * This is a helper function of Node.prototype.toCode
      * @param {Refs} refs
      * @param {string} prefix
-     * @returns {string} Returns the inner code as string
+     * @param {string} end      Code with the index of the first argument
+     *                          following the variable arguments
+     * @returns {string} Returns the code as string
+     * @private
+     */
+    Node.prototype._collectToCode = function (refs, prefix, end) {
+      var code = [];
+      var index = this.path.length - 1;
+
+      code.push(prefix + 'var varArgs = [];');
+      if (this.param.anyType) {
+        code.push(prefix + 'for (var i = ' + index + '; i < ' + end + '; i++) {');
+        code.push(prefix + '  varArgs.push(arguments[i]);');
+        code.push(prefix + '}');
+        return code.join('\n');
+      }
+
+      var allTypes = this.param.types;
+      var exactTypes = [];
+      for (var i = 0; i < allTypes.length; i++) {
+        if (this.param.conversions[i] === undefined) {
+          exactTypes.push(allTypes[i]);
+        }
+      }
+
+      code.push(prefix + 'var converted;');
+      code.push(prefix + 'for (var i = ' + index + '; i < ' + end + '; i++) {');
+      code.push(prefix + '  if (' + this._testsToCode(refs, exactTypes, 'arguments[i]') + ') {');
+      code.push(prefix + '    varArgs.push(arguments[i]);');
+
+      for (i = 0; i < allTypes.length; i++) {
+        var conversion = this.param.conversions[i];
+        if (conversion) {
+          var test = refs.addTest(allTypes[i]);
+          var convert = refs.add(conversion.convert, 'convert');
+          code.push(prefix + '  }');
+          if (conversion.fallible) {
+            // a value which cannot be converted is handled like a value
+            // of a wrong type
+            code.push(prefix + '  else if (' + test + '(arguments[i]) && ' +
+                '(converted = ' + convert + '(arguments[i])) !== NO_MATCH) {');
+            code.push(prefix + '    varArgs.push(converted);');
+          }
+          else {
+            code.push(prefix + '  else if (' + test + '(arguments[i])) {');
+            code.push(prefix + '    varArgs.push(' + convert + '(arguments[i]));');
+          }
+        }
+      }
+      code.push(prefix + '  } else {');
+      var error = 'createError(name, arguments.length, i, arguments[i], ' + JSON.stringify(exactTypes) + ')';
+      if (this.fallible || this.fallThrough) {
+        // record the error and fall through to the next signatures
+        if (this.fallible) {
+          code.push(prefix + '    mismatch = mismatch || ' + error + ';');
+        }
+        code.push(prefix + '    varArgs = null;');
+        code.push(prefix + '    break;');
+      }
+      else {
+        code.push(prefix + '    ' + mismatchToCode(refs, error));
+      }
+      code.push(prefix + '  }');
+      code.push(prefix + '}');
+
+      return code.join('\n');
+    };
+
+    /**
+     * Generate code invoking a signature with trailing parameters following
+     * the variable arguments of this node. The trailing parameters are
+     * matched against the last arguments, the arguments in between are
+     * collected as variable arguments.
+     * This is a helper function of Node.prototype.toCode
+     * @param {Refs} refs
+     * @param {string} prefix
+     * @param {Signature} signature
+     * @returns {string} Returns the code as string
+     * @private
+     */
+    Node.prototype._trailingToCode = function (refs, prefix, signature) {
+      var code = [];
+      var index = this.path.length - 1;
+
+      // at least one variable argument is required
+      var tests = ['arguments.length > ' + (index + signature.trailing)];
+      for (var i = signature.params.length - signature.trailing; i < signature.params.length; i++) {
+        var param = signature.params[i];
+        if (!param.anyType) {
+          tests.push(this._testsToCode(refs, param.types, signature.argToCode(i)));
+        }
+      }
+
+      code.push(prefix + 'if (' + tests.join(' && ') + ') { // trailing: ' +
+          signature.params.slice(index + 1).join(', '));
+      code.push(this._varArgsToCode(refs, prefix + '  ', 'arguments.length - ' + signature.trailing, signature));
+      code.push(prefix + '}');
+
+      return code.join('\n');
+    };
+
+    /**
+     * Generate code handling arguments not matching any of the trailing
+     * parameters of this node, in case there is no signature without
+     * trailing parameters to fall back on. Not used for nodes falling through
+     * to the next signatures without recording the error.
+     * This is a helper function of Node.prototype.toCode
+     * @param {Refs} refs
+     * @param {string} prefix
+     * @returns {string} Returns the code as string
+     * @private
+     */
+    Node.prototype._trailingMismatchToCode = function (refs, prefix) {
+      var code = [];
+      var index = this.path.length - 1;
+      // a node containing fallible signatures records the error and falls
+      // through to the next signatures
+      var fallible = this.fallible;
+      function fail(error) {
+        return fallible ? ('mismatch = mismatch || ' + error + ';') : mismatchToCode(refs, error);
+      }
+
+      // collect the expected types per position, counted from the end
+      var min = Infinity;
+      var max = 0;
+      var expected = [];
+      for (var i = 0; i < this.trailing.length; i++) {
+        var signature = this.trailing[i];
+        min = Math.min(min, signature.trailing);
+        max = Math.max(max, signature.trailing);
+        for (var j = 1; j <= signature.trailing; j++) {
+          var param = signature.params[signature.params.length - j];
+          var types = expected[j] || (expected[j] = {all: [], exact: []});
+          for (var t = 0; t < param.types.length; t++) {
+            if (!contains(types.all, param.types[t])) {
+              types.all.push(param.types[t]);
+            }
+            if (!param.conversions[t] && !contains(types.exact, param.types[t])) {
+              types.exact.push(param.types[t]);
+            }
+          }
+        }
+      }
+
+      code.push(prefix + 'if (arguments.length <= ' + (index + min) + ') {');
+      code.push(prefix + '  ' + fail('createError(name, arguments.length, arguments.length, undefined, ' +
+          JSON.stringify(expected[min].exact) + ')'));
+      code.push(prefix + '}');
+
+      // the last argument is tested by the final error below
+      for (j = max; j >= 2; j--) {
+        var arg = 'arguments[arguments.length - ' + j + ']';
+        if (!contains(expected[j].all, 'any')) {
+          code.push(prefix + 'if (arguments.length > ' + (index + j) + ' && !(' +
+              this._testsToCode(refs, expected[j].all, arg) + ')) {');
+          code.push(prefix + '  ' + fail('createError(name, arguments.length, arguments.length - ' + j + ', ' +
+              arg + ', ' + JSON.stringify(expected[j].exact) + ')'));
+          code.push(prefix + '}');
+        }
+      }
+
+      code.push(prefix + fail('createError(name, arguments.length, arguments.length - 1, ' +
+          'arguments[arguments.length - 1], ' + JSON.stringify(expected[1].exact) + ')'));
+
+      return code.join('\n');
+    };
+
+    /**
+     * Generate inner code for this group of signatures.
+     * This is a helper function of Node.prototype.toCode
+     * @param {Refs} refs
+     * @param {string} prefix
+     * @returns {string} Returns the inner code as string
+     * @private
+     */
+    Node.prototype._innerCode = function (refs, prefix) {
+      var code = [];
+      var i;
+
+      if (this.signature) {
+        code.push(prefix + 'if (arguments.length === ' + this.path.length + ') {');
+        code.push(this.signature.toCode(refs, prefix + '  '));
+        code.push(prefix + '}');
+      }
+
+      for (i = 0; i < this.childs.length; i++) {
+        code.push(this.childs[i].toCode(refs, prefix));
+      }
+
+      // arguments explicitly undefined are handled like omitted optional
+      // arguments, when no other signature accepts them
+      if (this.signature && this.signature.omitted.length > 0) {
+        var tests = ['arguments.length <= ' + (this.path.length + this.signature.omitted.length)];
+        for (i = 0; i < this.signature.omitted.length; i++) {
+          tests.push('arg' + (this.path.length + i) + ' === undefined');
+        }
+        code.push(prefix + 'if (' + tests.join(' && ') + ') {');
+        code.push(this.signature.toCode(refs, prefix + '  '));
+        code.push(prefix + '}');
+      }
+
+      // TODO: shouldn't the this.param.anyType check be redundant
+      if (!this.fallThrough || (this.param && this.param.anyType)) {
+        var exceptions = this._exceptions(refs, prefix);
+        if (exceptions) {
+          code.push(exceptions);
+        }
+      }
+
+      return code.join('\n');
+    };
+
+
+    /**
+     * Generate code to throw exceptions
+     * @param {Refs} refs
+     * @param {string} prefix
+     * @returns {string} Returns the inner code as string
      * @private
      */
     Node.prototype._exceptions = function (refs, prefix) {
       var index = this.path.length;
 
+      // a node containing fallible conversions records the error and falls
+      // through to the next signatures. The root node throws the first
+      // recorded error.
+      var fallible = this.fallible;
+      function fail(error) {
+        return !fallible ? mismatchToCode(refs, error) :
+            (index > 0) ? ('mismatch = mismatch || ' + error + ';') : mismatchToCode(refs, 'mismatch || ' + error);
+      }
+
       if (this.childs.length === 0) {
         // TODO: can this condition be simplified? (we have a fall-through here)
         return [
           prefix + 'if (arguments.length > ' + index + ') {',
-          prefix + '  throw createError(name, arguments.length, ' + index + ', arguments[' + index + ']);',
+          prefix + '  ' + fail('createError(name, arguments.length, ' + index + ', arguments[' + index + '])'),
           prefix + '}'
         ].join('\n');
       }
@@ -817,65 +2249,76 @@
           }
         }
 
-        return prefix + 'throw createError(name, arguments.length, ' + index + ', arguments[' + index + '], \'' + types.join(',') + '\');';
+        return prefix + fail('createError(name, arguments.length, ' + index + ', arguments[' + index + '], ' + JSON.stringify(types) + ')');
       }
     };
 
     /**
-     * Split all raw signatures into an array with expanded Signatures
-     * @param {Object.<string, Function>} rawSignatures
+     * Split all raw signatures into an array with expanded Signatures.
+     * Signatures which are ranked equally keep their order of declaration.
+     * @param {Array.<Array>} rawSignatures
+     *                        Array with [signature: string, fn: Function] pairs
      * @return {Signature[]} Returns an array with expanded signatures
      */
     function parseSignatures(rawSignatures) {
-      // FIXME: need to have deterministic ordering of signatures, do not create via object
       var signature;
-      var keys = {};
+      var positions = {};
       var signatures = [];
+      var typeIndexes = getTypeIndexes();
       var i;
 
-      for (var types in rawSignatures) {
-        if (rawSignatures.hasOwnProperty(types)) {
-          var fn = rawSignatures[types];
-          signature = new Signature(types, fn);
+      for (var r = 0; r < rawSignatures.length; r++) {
+        var types = rawSignatures[r][0];
+        var fn = rawSignatures[r][1];
+        signature = new Signature(types, fn);
 
-          if (signature.ignore()) {
-            continue;
-          }
+        if (signature.ignore()) {
+          continue;
+        }
+
+        var expanded = signature.expand();
 
-          var expanded = signature.expand();
+        for (i = 0; i < expanded.length; i++) {
+          var signature_i = expanded[i];
+          signature_i.declaration = types;
+          var key = signature_i.toString();
+          if (!positions.hasOwnProperty(key)) {
+            positions[key] = signatures.length;
+            signatures.push(signature_i);
+          }
+          else {
+            var existing = signatures[positions[key]];
+            if (signature_i.fn !== existing.fn && signature_i.hasConversions() && existing.hasConversions() &&
+                (signature_i.hasConversionCost() || existing.hasConversionCost()) &&
+                signature_i.getConversionCost() === existing.getConversionCost()) {
+              // conversions with an explicit cost must not leave a choice
+              var err = new Error('Ambiguous conversions for arguments "' + key + '": ' +
+                  'signatures "' + existing.getKey() + '" and "' + signature_i.getKey() + '" ' +
+                  'have equal conversion cost ' + existing.getConversionCost());
+              err.data = {
+                arguments: key,
+                signatures: [existing.getKey(), signature_i.getKey()],
+                cost: existing.getConversionCost()
+              };
+              throw err;
+            }
 
-          for (i = 0; i < expanded.length; i++) {
-            var signature_i = expanded[i];
-            var key = signature_i.toString();
-            var existing = keys[key];
-            if (!existing) {
-              keys[key] = signature_i;
+            var cmp = Signature.compare(signature_i, existing, typeIndexes);
+            if (cmp < 0) {
+              // override if sorted first
+              signatures[positions[key]] = signature_i;
             }
-            else {
-              var cmp = Signature.compare(signature_i, existing);
-              if (cmp < 0) {
-                // override if sorted first
-                keys[key] = signature_i;
-              }
-              else if (cmp === 0) {
-                throw new Error('Signature "' + key + '" is defined twice');
-              }
-              // else: just ignore
+            else if (cmp === 0 && signature_i.fn !== existing.fn) {
+              throw new Error('Signature "' + key + '" is defined twice');
             }
+            // else: just ignore
           }
         }
       }
 
-      // convert from map to array
-      for (key in keys) {
-        if (keys.hasOwnProperty(key)) {
-          signatures.push(keys[key]);
-        }
-      }
-
       // order the signatures
-      signatures.sort(function (a, b) {
-        return Signature.compare(a, b);
+      signatures = stableSort(signatures, function (a, b) {
+        return Signature.compare(a, b, typeIndexes);
       });
 
       // filter redundant conversions from signatures with varArgs
@@ -884,7 +2327,7 @@
         signature = signatures[i];
 
         if (signature.varArgs) {
-          var index = signature.params.length - 1;
+          var index = signature.params.length - signature.trailing - 1;
           var param = signature.params[index];
 
           var t = 0;
@@ -898,7 +2341,7 @@
 
                 if (other !== signature &&
                     p &&
-                    contains(p.types, type) && !p.conversions[index]) {
+                    contains(p.types, type) && !p.conversions[p.types.indexOf(type)]) {
                   // this (conversion) type already exists, remove it
                   param.types.splice(t, 1);
                   param.conversions.splice(t, 1);
@@ -933,20 +2376,31 @@
     }
 
     /**
-     * create a map with normalized signatures as key and the function as value
+     * create a map with normalized signatures as key and the function as value.
+     * Optional parameters are kept in the normalized signature, like
+     * 'string,[number]' or 'string,[number=10]'. Signatures in which they are
+     * omitted are not listed.
      * @param {Signature[]} signatures   An array with split signatures
+     * @param {function(Signature): *} [getValue]
+     *                                   Optional callback returning the value
+     *                                   for a signature instead of its
+     *                                   function. Signatures for which it
+     *                                   returns null or undefined are not
+     *                                   listed.
      * @return {Object.<string, Function>} Returns a map with normalized
      *                                     signatures as key, and the function
      *                                     as value.
      */
-    function mapSignatures(signatures) {
+    function mapSignatures(signatures, getValue) {
       var normalized = {};
 
       for (var i = 0; i < signatures.length; i++) {
         var signature = signatures[i];
-        if (signature.fn && !signature.hasConversions()) {
-          var params = signature.params.join(',');
-          normalized[params] = signature.fn;
+        if (signature.fn && !signature.hasFixedConversions() && signature.omitted.length === 0) {
+          var value = getValue ? getValue(signature) : signature.fn;
+          if (value != null) {
+            normalized[signature.getKey()] = value;
+          }
         }
       }
 
@@ -958,12 +2412,20 @@
      * @param {Signature[]} signatures  Array with expanded signatures
      * @param {Param[]} path            Traversed path of parameter types
      * @param {Signature[]} anys
+     * @param {boolean} [overlapped=false]
+     *                                  True when a next node may match the
+     *                                  same arguments, in which case the node
+     *                                  falls through to it on a mismatch
+     * @param {Object.<string, number>} [typeIndexes]
+     *                                  Indexes of the types, created once for
+     *                                  the root node
      * @return {Node}                   Returns a node tree
      */
-    function parseTree(signatures, path, anys) {
+    function parseTree(signatures, path, anys, overlapped, typeIndexes) {
       var i, signature;
       var index = path.length;
       var nodeSignature;
+      var _typeIndexes = typeIndexes || getTypeIndexes();
 
       var filtered = [];
       for (i = 0; i < signatures.length; i++) {
@@ -979,9 +2441,20 @@
         }
       }
 
+      // parameters following variable arguments are matched from the end of
+      // the arguments, and are not parsed into child nodes. Signatures with
+      // the most trailing parameters are tested first.
+      var trailing = [];
+      if (index > 0 && path[index - 1].varArgs) {
+        trailing = stableSort(filtered, function (a, b) {
+          return b.trailing - a.trailing;
+        });
+        filtered = [];
+      }
+
       // sort the filtered signatures by param
-      filtered.sort(function (a, b) {
-        return Param.compare(a.params[index], b.params[index]);
+      filtered = stableSort(filtered, function (a, b) {
+        return Param.compare(a.params[index], b.params[index], _typeIndexes);
       });
 
       // recurse over the signatures
@@ -1005,7 +2478,14 @@
         //}
 
         if (existing) {
-          if (existing.param.varArgs) {
+          var sharedVarArgs = existing.param.varArgs && param.varArgs &&
+              existing.param.toString() === param.toString() &&
+              (existing.signatures[0].trailing > 0 || signature.trailing > 0);
+          if ((existing.param.varArgs || (param.varArgs && signature.trailing > 0)) && !sharedVarArgs) {
+            // variable arguments can only be shared by signatures which
+            // differ in their trailing parameters, and variable arguments
+            // with trailing parameters cannot be grouped with a regular
+            // parameter
             throw new Error('Conflicting types "' + existing.param + '" and "' + param + '"');
           }
           existing.signatures.push(signature);
@@ -1038,14 +2518,31 @@
         }
       }
 
-      // parse the childs
+      // signatures with fallible conversions may fail to match after all,
+      // in which case we should fall through to the next signatures too
+      var fallible = overlapped || false;
+      for (i = 0; i < signatures.length; i++) {
+        if (signatures[i].isFallible()) {
+          fallible = true;
+          break;
+        }
+      }
+
+      // parse the childs. A child testing values which are accepted by one
+      // of its next siblings too, like '"linear"' followed by 'string', falls
+      // through to them on a mismatch, and so does this node.
       var childs = new Array(entries.length);
       for (i = 0; i < entries.length; i++) {
         var entry = entries[i];
-        childs[i] = parseTree(entry.signatures, path.concat(entry.param), matchingAnys)
+        var overlapping = overlapped || false;
+        for (var j = i + 1; j < entries.length && !overlapping; j++) {
+          overlapping = entry.param.overlappingValues(entries[j].param);
+        }
+        childs[i] = parseTree(entry.signatures, path.concat(entry.param), matchingAnys, overlapping, _typeIndexes);
+        fallible = fallible || childs[i].fallible;
       }
 
-      return new Node(path, nodeSignature, childs, fallThrough);
+      return new Node(path, nodeSignature, childs, fallThrough, fallible, trailing);
     }
 
     /**
@@ -1072,55 +2569,365 @@
      *   typed(name: string, signatures: Object.<string, function>)
      *
      * @param {string | null} name
-     * @param {Object.<string, Function>} signatures
+     * @param {Object.<string, Function> | Array.<Array> | Map} signatures
+     *                          An object, Map, or array with
+     *                          [signature: string, fn: Function] pairs
      * @return {Function} Returns the typed function
      * @private
      */
     function _typed(name, signatures) {
-      var refs = new Refs();
+      // replace references to the typed function itself with placeholders
+      var references = [];
+      var list = toSignatureList(signatures).map(function (pair) {
+        if (!isReference(pair[1])) {
+          return pair;
+        }
+
+        var entry = references.filter(function (entry) {
+          return entry.reference === pair[1];
+        })[0];
+        if (!entry) {
+          entry = createPlaceholder(pair[1]);
+          references.push(entry);
+        }
+        return [pair[0], entry.placeholder];
+      });
+      if (typed.config.onMismatch && typeof typed.config.onMismatch !== 'function') {
+        throw new TypeError('Function expected for config.onMismatch');
+      }
 
       // parse signatures, expand them
-      var _signatures = parseSignatures(signatures);
+      var _signatures = parseSignatures(list);
       if (_signatures.length == 0) {
         throw new Error('No signatures provided');
       }
 
+      var fn = compile(name, _signatures, typed.config.onMismatch, typed.config.checkReturnTypes);
+
+      // attach the signatures with sub-functions to the constructed function
+      fn.signatures = mapSignatures(_signatures);
+      fn.returnTypes = mapSignatures(_signatures, function (signature) {
+        return signature.returns && signature.returns.toString();
+      });
+      fn.declarations = mapSignatures(_signatures, function (signature) {
+        return signature.declaration;
+      });
+
+      // resolve the references now the typed function is created
+      if (references.length > 0) {
+        resolveReferences(fn, references);
+      }
+
+      return fn;
+    }
+
+    /**
+     * Generate and evaluate the code of a typed function
+     * @param {string | null} name
+     * @param {Signature[]} signatures    Ordered array with expanded signatures
+     * @param {function(Object, Array)} [onMismatch]
+     *                                    Optional handler invoked with
+     *                                    information on a mismatch instead of
+     *                                    throwing an error
+     * @param {boolean} [checkReturnTypes=false]
+     *                                    When true, the values returned by
+     *                                    signatures are checked against their
+     *                                    return type
+     * @return {Function} Returns the typed function
+     * @private
+     */
+    function compile(name, signatures, onMismatch, checkReturnTypes) {
+      var generated = generate(name, signatures, checkReturnTypes, !!onMismatch);
+      var fn = evaluate(generated.refs, generated.body, onMismatch);
+
+      // keep the compiled signatures, node tree and function references, to
+      // resolve and inspect the dispatching of the typed function
+      Object.defineProperty(fn, '_typedFunctionData', {
+        value: {
+          signatures: signatures,
+          node: generated.node,
+          refs: generated.refs,
+          body: generated.body,
+          references: {},
+          resolver: null
+        }
+      });
+
+      return fn;
+    }
+
+    /**
+     * Evaluate the generated code of a typed function
+     * @param {Refs} refs
+     * @param {string} body           The body of the factory function
+     * @param {function(Object, Array)} [onMismatch]
+     * @return {Function} Returns the typed function
+     * @private
+     */
+    function evaluate(refs, body, onMismatch) {
+      // evaluate the JavaScript code and attach function references.
+      // With a mismatch handler, no errors are created but plain objects
+      var factory = (new Function(refs.name, 'createError', 'NO_MATCH', 'onMismatch', body));
+
+      return factory(refs, onMismatch ? createMismatch : createError, NO_MATCH, onMismatch || null);
+    }
+
+    /**
+     * Get the data kept on a typed function when compiling it
+     * @param {Function} fn
+     * @return {{signatures: Signature[], node: Node, refs: Refs, body: string, references: Object, resolver: Function | null}}
+     * @private
+     */
+    function getTypedFunctionData(fn) {
+      if (!fn || !fn._typedFunctionData) {
+        throw new TypeError('Function is no typed-function');
+      }
+      return fn._typedFunctionData;
+    }
+
+    /**
+     * Generate the code of a typed function
+     * @param {string | null} name
+     * @param {Signature[]} signatures    Ordered array with expanded signatures
+     * @param {boolean} [checkReturnTypes=false]
+     *                                    When true, the values returned by
+     *                                    signatures are checked against their
+     *                                    return type
+     * @param {boolean} [onMismatch=false]
+     *                                    When true, mismatches are passed to
+     *                                    a handler instead of thrown
+     * @return {{node: Node, refs: Refs, code: string, body: string}}
+     *     Returns the node tree, the function references, the code of the
+     *     typed function, and the body of the factory function creating it
+     * @private
+     */
+    function generate(name, signatures, checkReturnTypes, onMismatch) {
+      var refs = new Refs();
+      refs.onMismatch = onMismatch || false;
+
+      signatures = signatures.map(function (signature) {
+        if (!signature.returns) {
+          return signature;
+        }
+
+        // throws an error in case of unknown return types
+        var test = getUnionTest(signature.returns.types);
+        if (!checkReturnTypes || !signature.fn) {
+          return signature;
+        }
+
+        var checked = signature.clone();
+        checked.fn = createReturnTypeCheck(name, signature, test);
+        return checked;
+      });
+
       // filter all any type signatures
-      var anys = filterAnyTypeSignatures(_signatures);
+      var anys = filterAnyTypeSignatures(signatures);
 
       // parse signatures into a node tree
-      var node = parseTree(_signatures, [], anys);
-
-      //var util = require('util');
-      //console.log('ROOT');
-      //console.log(util.inspect(node, { depth: null }));
+      var node = parseTree(signatures, [], anys);
+      var generated = generateCode(name, node, maxParams(signatures), refs);
+
+      return {
+        node: node,
+        refs: refs,
+        code: generated.code,
+        body: generated.body
+      };
+    }
 
-      // generate code for the typed function
+    /**
+     * Generate the code of a typed function from its node tree
+     * @param {string | null} name
+     * @param {Node} node         The root node
+     * @param {number} params     The maximum number of named parameters
+     * @param {Refs} refs
+     * @return {{code: string, body: string}}
+     *     Returns the code of the typed function, and the body of the factory
+     *     function creating it
+     * @private
+     */
+    function generateCode(name, node, params, refs) {
       var code = [];
       var _name = name || '';
-      var _args = getArgs(maxParams(_signatures));
+      var _args = getArgs(params);
       code.push('function ' + _name + '(' + _args.join(', ') + ') {');
       code.push('  "use strict";');
       code.push('  var name = \'' + _name + '\';');
+      if (node.fallible) {
+        code.push('  var mismatch;');
+      }
       code.push(node.toCode(refs, '  ', false));
       code.push('}');
 
-      // generate body for the factory function
+      // generate body for the factory function. The sourceURL names the
+      // code in stack traces and developer tools
       var body = [
         refs.toCode(),
-        'return ' + code.join('\n')
+        refs.toUpdateCode('signature'),
+        'return ' + code.join('\n'),
+        '//# sourceURL=typed-function/' + (name || 'unnamed') + '.js'
       ].join('\n');
 
-      // evaluate the JavaScript code and attach function references
-      var factory = (new Function(refs.name, 'createError', body));
-      var fn = factory(refs, createError);
+      return {
+        code: code.join('\n'),
+        body: body
+      };
+    }
 
-      //console.log('FN\n' + fn.toString()); // TODO: cleanup
+    /**
+     * Create a function invoking the function of a signature, which throws
+     * a TypeError when the returned value does not match the return type of
+     * the signature.
+     * @param {string | null} name            Name of the typed function
+     * @param {Signature} signature
+     * @param {function(*): boolean} test     Test of the return type
+     * @return {Function} Returns the checking function
+     * @private
+     */
+    function createReturnTypeCheck(name, signature, test) {
+      var fn = signature.fn;
+
+      return function () {
+        var result = fn.apply(null, arguments);
+        if (!test(result)) {
+          var err = new TypeError('Unexpected return type in function ' + (name || 'unnamed') +
+              ' (expected: ' + formatExpected(signature.returns.types) + ', actual: ' + getTypeOf(result) +
+              ', signature: ' + signature.getKey() + ')');
+          err.data = {
+            fn: name,
+            signature: signature.getKey(),
+            actual: result,
+            expected: signature.returns.types
+          };
+          throw err;
+        }
+        return result;
+      };
+    }
 
-      // attach the signatures with sub-functions to the constructed function
-      fn.signatures = mapSignatures(_signatures);
+    /**
+     * Test whether a value is a reference created by typed.referToSelf or
+     * typed.referTo
+     * @param {*} value
+     * @return {boolean}
+     */
+    function isReference(value) {
+      return !!value && typeof value === 'object' &&
+          (typeof value.referToSelf === 'object' || typeof value.referTo === 'object');
+    }
 
-      return fn;
+    /**
+     * Create a placeholder for a signature referring to the typed function
+     * itself or to other signatures of it. The placeholder is used as the
+     * function of the signature while creating the typed function. Once
+     * resolved, the implementation created by the callback of the reference
+     * replaces the placeholder. The placeholder invokes the implementation,
+     * for references to other signatures which are not resolved yet.
+     * @param {{referToSelf: {callback: function}} | {referTo: {references: string[], callback: function}}} reference
+     * @return {{reference: Object, placeholder: function, implementation: function | null}}
+     *     Returns the reference with its placeholder
+     */
+    function createPlaceholder(reference) {
+      var entry = {
+        reference: reference,
+        placeholder: null,
+        implementation: null
+      };
+
+      entry.placeholder = function () {
+        return entry.implementation.apply(this, arguments);
+      };
+
+      return entry;
+    }
+
+    /**
+     * Resolve the references of a typed function to the typed function
+     * itself or to other signatures of it, by invoking their callbacks. The
+     * implementations replace the placeholders in the signatures and in the
+     * function references of the typed function. References to other
+     * signatures are resolved after the signatures they refer to, except
+     * for circular references, which refer to the placeholders instead.
+     * @param {Function} fn
+     * @param {Array.<{reference: Object, placeholder: function, implementation: function | null}>} entries
+     * @private
+     */
+    function resolveReferences(fn, entries) {
+      var pending = entries.slice();
+
+      function isPending(signature) {
+        var implementation = fn.signatures[new Signature(signature).getKey()];
+        return pending.some(function (entry) {
+          return entry.placeholder === implementation;
+        });
+      }
+
+      while (pending.length > 0) {
+        var ready = pending.filter(function (entry) {
+          return !entry.reference.referTo || !entry.reference.referTo.references.some(isPending);
+        });
+
+        (ready.length > 0 ? ready : pending).forEach(function (entry) {
+          resolveReference(fn, entry);
+        });
+        pending = pending.filter(function (entry) {
+          return !entry.implementation;
+        });
+      }
+
+      getTypedFunctionData(fn).refs.update();
+    }
+
+    /**
+     * Resolve a single reference of a typed function.
+     * This is a helper function of resolveReferences
+     * @param {Function} fn
+     * @param {{reference: Object, placeholder: function, implementation: function | null}} entry
+     * @private
+     */
+    function resolveReference(fn, entry) {
+      var reference = entry.reference;
+      var implementation;
+      var callbackName;
+      if (reference.referToSelf) {
+        callbackName = 'referToSelf';
+        implementation = reference.referToSelf.callback(fn);
+      }
+      else {
+        callbackName = 'referTo';
+        var implementations = reference.referTo.references.map(function (signature) {
+          var key = new Signature(signature).getKey();
+          if (!fn.signatures.hasOwnProperty(key)) {
+            var err = new Error('Referenced signature "' + signature + '" not found');
+            err.data = {signature: signature};
+            throw err;
+          }
+          return fn.signatures[key];
+        });
+        implementation = reference.referTo.callback.apply(null, implementations);
+      }
+
+      if (typeof implementation !== 'function') {
+        throw new TypeError('Function expected as return value of the ' + callbackName + ' callback');
+      }
+      entry.implementation = implementation;
+
+      // replace the placeholder, and keep the reference so it can be
+      // resolved again when merging the typed function
+      var data = getTypedFunctionData(fn);
+      for (var key in fn.signatures) {
+        if (fn.signatures.hasOwnProperty(key) && fn.signatures[key] === entry.placeholder) {
+          fn.signatures[key] = implementation;
+          data.references[key] = reference;
+        }
+      }
+
+      var functions = data.refs.categories['signature'] || [];
+      var index = functions.indexOf(entry.placeholder);
+      if (index !== -1) {
+        functions[index] = implementation;
+      }
     }
 
     /**
@@ -1132,7 +2939,8 @@
       var max = 0;
 
       for (var i = 0; i < signatures.length; i++) {
-        var len = signatures[i].params.length;
+        // trailing parameters following variable arguments are not named
+        var len = signatures[i].params.length - signatures[i].trailing;
         if (len > max) {
           max = len;
         }
@@ -1148,9 +2956,10 @@
      */
     function getTypeOf(x) {
       var obj;
+      var types = getOrderedTypes();
 
-      for (var i = 0; i < typed.types.length; i++) {
-        var entry = typed.types[i];
+      for (var i = 0; i < types.length; i++) {
+        var entry = types[i];
 
         if (entry.name === 'Object') {
           // Array and Date are also Object, so test for Object afterwards
@@ -1168,19 +2977,406 @@
     }
 
     /**
-     * Test whether an array contains some item
-     * @param {Array} array
-     * @param {*} item
-     * @return {boolean} Returns true if array contains item, false if not.
+     * Split a string by a separator, ignoring separators inside quotes and
+     * brackets. For example splitTopLevel('string, [number = "a,b"]', ',')
+     * returns ['string', ' [number = "a,b"]']. The arrow '->' of a return
+     * type does not close a bracket.
+     * @param {string} str
+     * @param {string} separator   A separator like ',' or '->'
+     * @return {string[]} Returns the (not trimmed) parts of the string
      */
-    function contains(array, item) {
-      return array.indexOf(item) !== -1;
-    }
-
-    /**
-     * Returns the last item in the array
-     * @param {Array} array
-     * @return {*} item
+    function splitTopLevel(str, separator) {
+      var parts = [];
+      var start = 0;
+      var depth = 0;
+      var quote = null;
+
+      for (var i = 0; i < str.length; i++) {
+        var c = str.charAt(i);
+        if (quote) {
+          if (c === '\\') {
+            i++; // skip escaped character
+          }
+          else if (c === quote) {
+            quote = null;
+          }
+        }
+        else if (c === '"' || c === '\'') {
+          quote = c;
+        }
+        else if (c === '[' || c === '{' || c === '(' || c === '<') {
+          depth++;
+        }
+        else if (str.substr(i, separator.length) === separator && depth === 0) {
+          parts.push(str.substring(start, i));
+          start = i + separator.length;
+          i += separator.length - 1;
+        }
+        else if (c === ']' || c === '}' || c === ')' || (c === '>' && str.charAt(i - 1) !== '-')) {
+          depth--;
+        }
+      }
+      parts.push(str.substring(start));
+
+      return parts;
+    }
+
+    /**
+     * Parse the bounds of the number of variable arguments, like '2', '2,'
+     * or '1,3'. Without maximum, the number of arguments is unbounded.
+     * @param {string} str
+     * @return {{min: number, max: number}} Returns the parsed bounds
+     */
+    function parseBounds(str) {
+      var match = /^\s*(\d+)\s*(?:(,)\s*(\d*)\s*)?$/.exec(str);
+      var min = match ? parseInt(match[1], 10) : NaN;
+      var max = !match ? NaN :
+          !match[2] ? min :
+          (match[3] !== '') ? parseInt(match[3], 10) : Infinity;
+
+      if (!(min >= 1) || !(max >= min)) {
+        throw new SyntaxError('Invalid bounds of variable arguments "{' + str + '}"');
+      }
+
+      return {min: min, max: max};
+    }
+
+    /**
+     * Parse the default value of an optional parameter, like '10' or '"foo"'.
+     * The value must be valid JSON.
+     * @param {string} str
+     * @return {*} Returns the parsed value, or undefined when str is empty
+     */
+    function parseDefaultValue(str) {
+      if (str === '') {
+        return undefined;
+      }
+
+      try {
+        return JSON.parse(str);
+      }
+      catch (err) {
+        throw new SyntaxError('Invalid default value "' + str + '"');
+      }
+    }
+
+    /**
+     * Test whether an array contains some item
+     * @param {Array} array
+     * @param {*} item
+     * @return {boolean} Returns true if array contains item, false if not.
+     */
+    function contains(array, item) {
+      return array.indexOf(item) !== -1;
+    }
+
+    /**
+     * Test whether an array with types contains some type, or the nullable
+     * variant of the type. For example ['?Date'] contains 'Date'.
+     * @param {string[]} types
+     * @param {string} type
+     * @return {boolean} Returns true if the type is found, false if not.
+     */
+    function containsType(types, type) {
+      return contains(types, type) || contains(types, '?' + type);
+    }
+
+    /**
+     * Test whether a type is nullable, like '?Date'
+     * @param {string} type
+     * @return {boolean}
+     */
+    function isNullable(type) {
+      return type.charAt(0) === '?';
+    }
+
+    /**
+     * Strip the nullable operator from a type, for example '?Date' returns 'Date'
+     * @param {string} type
+     * @return {string}
+     */
+    function stripNullable(type) {
+      return isNullable(type) ? type.substr(1) : type;
+    }
+
+    /**
+     * Normalize a type: trim whitespace, and normalize nullable, literal and
+     * record types. For example '? Date' returns '?Date', "'linear'" returns
+     * '"linear"', '0 .. 10' returns '0..10', '{a:number|string}' returns
+     * '{a: number | string}', and 'Array<number>' returns 'Array.<number>'.
+     * @param {string} type
+     * @return {string}
+     */
+    function normalizeType(type) {
+      var _type = type.trim();
+      if (isNullable(_type)) {
+        return '?' + normalizeType(stripNullable(_type));
+      }
+
+      var generic = parseGeneric(_type);
+      if (generic) {
+        return formatGeneric(generic.base, generic.types);
+      }
+
+      var record = parseRecord(_type);
+      if (record) {
+        var props = record.map(function (prop) {
+          return (/^[A-Za-z_$][\w$]*$/.test(prop.name) ? prop.name : JSON.stringify(prop.name)) +
+              (prop.optional ? '?' : '') + ': ' + prop.types.join(' | ');
+        });
+        return '{' + props.join(', ') + '}';
+      }
+
+      var literal = parseLiteral(_type);
+      if (literal) {
+        return ('value' in literal)
+            ? JSON.stringify(literal.value)
+            : (literal.min + '..' + literal.max);
+      }
+
+      return _type;
+    }
+
+    /**
+     * Parse a literal type: a quoted string like '"linear"' or "'linear'",
+     * a number like '2', or an inclusive numeric range like '0..10'.
+     * @param {string} type
+     * @return {{value: *} | {min: number, max: number} | null}
+     *     Returns the parsed literal, or null when type is no literal type
+     */
+    function parseLiteral(type) {
+      var _type = type.trim();
+      var first = _type.charAt(0);
+      var match;
+
+      if (_type.length > 1 && (first === '"' || first === '\'') && _type.charAt(_type.length - 1) === first) {
+        var str = (first === '"') ? _type : ('"' + _type.substring(1, _type.length - 1)
+            .replace(/\\'/g, '\'')
+            .replace(/"/g, '\\"') + '"');
+        try {
+          return {value: JSON.parse(str)};
+        }
+        catch (err) {
+          throw new SyntaxError('Invalid string literal ' + _type);
+        }
+      }
+
+      if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(_type)) {
+        return {value: parseFloat(_type)};
+      }
+
+      if ((match = /^([-+]?\d+(?:\.\d+)?)\s*\.\.\s*([-+]?\d+(?:\.\d+)?)$/.exec(_type))) {
+        var min = parseFloat(match[1]);
+        var max = parseFloat(match[2]);
+        if (min > max) {
+          throw new SyntaxError('Invalid range ' + _type + ' (lower bound is larger than upper bound)');
+        }
+        return {min: min, max: max};
+      }
+
+      return null;
+    }
+
+    /**
+     * Parse a record type like '{name: string, age?: number}'. Property names
+     * can be quoted, property types can be any type expression including
+     * union types and nested record types.
+     * @param {string} type
+     * @return {Array.<{name: string, optional: boolean, types: string[]}> | null}
+     *     Returns the properties of the record, or null when type is no
+     *     record type
+     */
+    function parseRecord(type) {
+      var _type = type.trim();
+      if (_type.charAt(0) !== '{' || _type.charAt(_type.length - 1) !== '}') {
+        return null;
+      }
+
+      var body = _type.substring(1, _type.length - 1);
+      if (body.trim() === '') {
+        return [];
+      }
+
+      return splitTopLevel(body, ',').map(function (entry) {
+        var parts = splitTopLevel(entry, ':');
+        if (parts.length < 2) {
+          throw new SyntaxError('Invalid property "' + entry.trim() + '" in record type ' + _type);
+        }
+
+        var name = parts[0].trim();
+        var optional = name.charAt(name.length - 1) === '?';
+        if (optional) {
+          name = name.substring(0, name.length - 1).trim();
+        }
+        var literal = parseLiteral(name);
+        if (literal && typeof literal.value === 'string') {
+          name = literal.value;
+        }
+
+        var types = splitTopLevel(parts.slice(1).join(':'), '|').map(normalizeType);
+
+        return {
+          name: name,
+          optional: optional,
+          types: types
+        };
+      });
+    }
+
+    /**
+     * Parse a generic type like 'Array.<number>', 'Array<number>', or
+     * 'Object.<string, Date>'. Element types can be any type expression.
+     * @param {string} type
+     * @return {{base: string, types: string[]} | null}
+     *     Returns the base type ('Array' or 'Object') and the element types,
+     *     or null when type is no generic type
+     */
+    function parseGeneric(type) {
+      var match = /^(Array|Object)\s*\.?\s*<([\s\S]*)>$/.exec(type.trim());
+      if (!match) {
+        return null;
+      }
+
+      var base = match[1];
+      var params = splitTopLevel(match[2], ',');
+      if (base === 'Object' && params.length === 2) {
+        if (params[0].trim() !== 'string') {
+          throw new SyntaxError('Invalid key type "' + params[0].trim() + '" in generic type ' +
+              type.trim() + ' (expected: string)');
+        }
+        params = params.slice(1);
+      }
+      if (params.length !== 1 || params[0].trim() === '') {
+        throw new SyntaxError('Invalid generic type ' + type.trim());
+      }
+
+      return {
+        base: base,
+        types: splitTopLevel(params[0], '|').map(normalizeType)
+      };
+    }
+
+    /**
+     * Create a string representation of a generic type
+     * @param {string} base        'Array' or 'Object'
+     * @param {string[]} types     Element types
+     * @return {string} Returns a type like 'Array.<number | string>'
+     */
+    function formatGeneric(base, types) {
+      return base + '.<' + (base === 'Object' ? 'string, ' : '') + types.join(' | ') + '>';
+    }
+
+    /**
+     * Get the base type of a type: the type without nullable operator, Object
+     * for record types, and the container type for generic types. For
+     * example '?Array.<number>' returns 'Array'.
+     * @param {string} type
+     * @return {string}
+     */
+    function getBaseType(type) {
+      var _type = stripNullable(type);
+      if (parseRecord(_type)) {
+        return 'Object';
+      }
+
+      var generic = parseGeneric(_type);
+      return generic ? generic.base : _type;
+    }
+
+    /**
+     * Get the type of the values accepted by a type: the base type of
+     * generic and record types, and string or number for literal types.
+     * For example '"linear"' returns 'string', '?Array.<number>' returns
+     * 'Array', and '{a: number}' returns 'Object'.
+     * @param {string} type
+     * @return {string}
+     */
+    function getValueType(type) {
+      var literal = parseLiteral(stripNullable(type));
+      if (literal) {
+        return ('value' in literal) ? typeof literal.value : 'number';
+      }
+
+      return getBaseType(type);
+    }
+
+    /**
+     * Get the order of a (non-nullable) type in respect to literal types
+     * @param {string} type
+     * @return {number} Returns 0 for constants like '"linear"' or '2',
+     *                  1 for ranges like '0..10', and 2 for other types.
+     */
+    function literalOrder(type) {
+      var literal = parseLiteral(type);
+      return literal ? (('value' in literal) ? 0 : 1) : 2;
+    }
+
+    /**
+     * Sort an array without changing the order of items which are equal
+     * according to the compare function. Array.prototype.sort is not stable
+     * on all JavaScript engines. Does not change the original array.
+     * @param {Array} array
+     * @param {function(a, b): number} compare
+     * @return {Array} Returns a sorted copy of the array
+     */
+    function stableSort (array, compare) {
+      var entries = array.map(function (item, index) {
+        return {item: item, index: index};
+      });
+
+      entries.sort(function (a, b) {
+        return compare(a.item, b.item) || (a.index - b.index);
+      });
+
+      return entries.map(function (entry) {
+        return entry.item;
+      });
+    }
+
+    /**
+     * Convert signatures into an ordered array with
+     * [signature: string, fn: Function] pairs. Signatures can be provided as
+     * an object, an array with pairs, or a Map. Only an array or Map
+     * guarantees the order of declaration for all signatures, as properties of
+     * an object with numeric names are enumerated first.
+     * @param {Object.<string, Function> | Array.<Array> | Map} signatures
+     * @return {Array.<Array>} Returns an array with pairs
+     */
+    function toSignatureList (signatures) {
+      var list = [];
+
+      if (Array.isArray(signatures)) {
+        for (var i = 0; i < signatures.length; i++) {
+          var pair = signatures[i];
+          if (!Array.isArray(pair) || pair.length !== 2 ||
+              typeof pair[0] !== 'string' || !(typeof pair[1] === 'function' || isReference(pair[1]))) {
+            var err = new TypeError('Array with [signature: string, fn: Function] pairs expected (index: ' + i + ')');
+            err.data = {index: i};
+            throw err;
+          }
+          list.push(pair);
+        }
+      }
+      else if (typeof Map === 'function' && signatures instanceof Map) {
+        signatures.forEach(function (fn, types) {
+          list.push([types, fn]);
+        });
+      }
+      else {
+        for (var types in signatures) {
+          if (signatures.hasOwnProperty(types)) {
+            list.push([types, signatures[types]]);
+          }
+        }
+      }
+
+      return list;
+    }
+
+    /**
+     * Returns the last item in the array
+     * @param {Array} array
+     * @return {*} item
      */
     function last (array) {
       return array[array.length - 1];
@@ -1203,6 +3399,27 @@
     // configuration
     var config = {};
 
+    // TypeScript types of the built-in types which are named differently
+    var TS_TYPES = {
+      'Function': '(...args: any[]) => any',
+      'Array': 'any[]',
+      'Object': 'object'
+    };
+
+    // JSON Schema dialect and the schemas of the built-in types. Types not
+    // listed here, like Function, accept any value
+    var JSON_SCHEMA = 'https://json-schema.org/draft/2020-12/schema';
+    var JSON_SCHEMA_TYPES = {
+      'number': {type: 'number'},
+      'string': {type: 'string'},
+      'boolean': {type: 'boolean'},
+      'Array': {type: 'array'},
+      'Date': {type: 'string', format: 'date-time'},
+      'RegExp': {type: 'string', format: 'regex'},
+      'Object': {type: 'object'},
+      'null': {type: 'null'}
+    };
+
     // type conversions. Order is important
     var conversions = [];
 
@@ -1226,18 +3443,20 @@
      *
      *   typed(signatures: Object.<string, function>)
      *   typed(name: string, signatures: Object.<string, function>)
+     *
+     * Instead of an object, signatures can be provided as an Array with
+     * [signature: string, fn: function] pairs or as a Map (both are an Object).
      */
     typed = _typed('typed', {
       'Object': function (signatures) {
+        var list = toSignatureList(signatures);
         var fns = [];
-        for (var signature in signatures) {
-          if (signatures.hasOwnProperty(signature)) {
-            fns.push(signatures[signature]);
-          }
+        for (var i = 0; i < list.length; i++) {
+          fns.push(list[i][1]);
         }
         var name = getName(fns);
 
-        return _typed(name, signatures);
+        return _typed(name, list);
       },
       'string, Object': _typed,
       // TODO: add a signature 'Array.<function>'
@@ -1245,6 +3464,7 @@
         var err;
         var name = getName(fns);
         var signatures = {};
+        var list = [];
 
         for (var i = 0; i < fns.length; i++) {
           var fn = fns[i];
@@ -1256,11 +3476,13 @@
             throw err;
           }
 
-          // merge the signatures
+          // merge the signatures. References to the typed function itself
+          // are resolved again, to refer to the merged function
           for (var signature in fn.signatures) {
             if (fn.signatures.hasOwnProperty(signature)) {
+              var implementation = getTypedFunctionData(fn).references[signature] || fn.signatures[signature];
               if (signatures.hasOwnProperty(signature)) {
-                if (fn.signatures[signature] !== signatures[signature]) {
+                if (implementation !== signatures[signature]) {
                   err = new Error('Signature "' + signature + '" is defined twice');
                   err.data = {signature: signature};
                   throw err;
@@ -1268,13 +3490,14 @@
                 // else: both signatures point to the same function, that's fine
               }
               else {
-                signatures[signature] = fn.signatures[signature];
+                signatures[signature] = implementation;
+                list.push([getDeclaration(fn, signature), implementation]);
               }
             }
           }
         }
 
-        return _typed(name, signatures);
+        return _typed(name, list);
       }
     });
 
@@ -1284,25 +3507,30 @@
      *
      *   typed.find(fn, ['number', 'string'])
      *   typed.find(fn, 'number, string')
+     *   typed.find(fn, 'number, string', {conversions: false})
      *
-     * Function find only only works for exact matches.
+     * When there is no exact match, find returns the signature which would
+     * be invoked for arguments of the given types, matching via union types,
+     * `any`, variable arguments, and the conversions with which the typed
+     * function was created.
      *
      * @param {Function} fn                   A typed-function
      * @param {string | string[]} signature   Signature to be found, can be
      *                                        an array or a comma separated string.
+     * @param {{conversions: boolean}} [options]
+     *                                        Set `conversions` false to not
+     *                                        match signatures via conversions.
      * @return {Function}                     Returns the matching signature, or
      *                                        throws an errror when no signature
      *                                        is found.
      */
-    function find (fn, signature) {
-      if (!fn.signatures) {
-        throw new TypeError('Function is no typed-function');
-      }
+    function find (fn, signature, options) {
+      var data = getTypedFunctionData(fn);
 
       // normalize input
       var arr;
       if (typeof signature === 'string') {
-        arr = signature.split(',');
+        arr = splitTopLevel(signature, ',');
         for (var i = 0; i < arr.length; i++) {
           arr[i] = arr[i].trim();
         }
@@ -1322,11 +3550,985 @@
         return match;
       }
 
-      // TODO: extend find to match non-exact signatures
+      // find the signature which would be invoked for these types
+      var allowConversions = !(options && options.conversions === false);
+      var types = (str !== '') ? arr.map(normalizeType) : [];
+      match = findMatchingSignature(data.signatures, types, allowConversions);
+      if (match) {
+        return fn.signatures[match.getKey()] || match.fn;
+      }
 
       throw new TypeError('Signature not found (signature: ' + (fn.name || 'unnamed') + '(' + arr.join(', ') + '))');
     }
 
+    /**
+     * Resolve which signature of a typed function would be invoked with
+     * given arguments, without invoking it. Uses the same dispatching as the
+     * typed function itself. Returns an object:
+     *
+     *   {
+     *     signature: string,     the normalized signature, like 'number,string'
+     *     fn: Function,          the function of the signature
+     *     convertedArgs: Array,  the arguments passed to the function
+     *     conversionsApplied: Array.<{index: number, from: string, to: string, path?: string[]}>
+     *   }
+     *
+     * In case of a mismatch, signature, fn, convertedArgs and
+     * conversionsApplied are null, and a property mismatch contains the
+     * message and data of the error which would be thrown.
+     *
+     * @param {Function} fn   A typed-function
+     * @param {Array} args    The arguments
+     * @return {Object} Returns the resolved signature
+     */
+    function resolve (fn, args) {
+      var data = getTypedFunctionData(fn);
+      if (!Array.isArray(args)) {
+        throw new TypeError('Array expected for args');
+      }
+
+      if (!data.resolver) {
+        data.resolver = createResolver(fn, data);
+      }
+
+      return data.resolver(args);
+    }
+
+    /**
+     * Create a function resolving which signature of a typed function would
+     * be invoked with given arguments. The code of the typed function is
+     * generated again from its node tree, with the type tests and
+     * conversions of the typed function, but invoking functions which
+     * return the resolved signature instead of the signatures themselves.
+     * @param {Function} fn   A typed-function
+     * @param {{node: Node, refs: Refs, signatures: Signature[]}} data
+     *                        The data kept on the typed function
+     * @return {function(Array): Object} Returns the resolver
+     * @private
+     */
+    function createResolver (fn, data) {
+      var refs = new Refs(null, data.refs.tests);
+      refs.onMismatch = true;
+      refs.mapSignature = function (signature) {
+        return function () {
+          return {
+            signature: signature,
+            convertedArgs: Array.prototype.slice.call(arguments)
+          };
+        };
+      };
+
+      var generated = generateCode(fn.name, data.node, maxParams(data.signatures), refs);
+      var resolver = evaluate(refs, generated.body, function (mismatch) {
+        return {
+          signature: null,
+          mismatch: mismatch
+        };
+      });
+
+      return function (args) {
+        var resolved = resolver.apply(null, args);
+        if (!resolved.signature) {
+          return {
+            signature: null,
+            fn: null,
+            convertedArgs: null,
+            conversionsApplied: null,
+            mismatch: resolved.mismatch
+          };
+        }
+
+        var key = resolved.signature.getKey();
+        return {
+          signature: key,
+          fn: fn.signatures[key] || resolved.signature.fn,
+          convertedArgs: resolved.convertedArgs,
+          conversionsApplied: getConversionsApplied(resolved.signature, args, refs)
+        };
+      };
+    }
+
+    /**
+     * List the conversions applied to arguments when invoking a signature
+     * @param {Signature} signature
+     * @param {Array} args
+     * @param {Refs} refs     Function references with the type tests
+     * @return {Array.<{index: number, from: string, to: string, path?: string[]}>}
+     */
+    function getConversionsApplied (signature, args, refs) {
+      var applied = [];
+
+      for (var i = 0; i < args.length; i++) {
+        var param = signature.getParam(i, args.length);
+        if (!param) {
+          break;
+        }
+
+        // a converted type is only used when the argument has none of the
+        // non-converted types
+        var exact = false;
+        var conversion = null;
+        for (var j = 0; j < param.types.length; j++) {
+          if (param.anyType || refs.getTest(param.types[j])(args[i])) {
+            if (!param.conversions[j]) {
+              exact = true;
+              break;
+            }
+            conversion = conversion || param.conversions[j];
+          }
+        }
+
+        if (!exact && conversion) {
+          var entry = {index: i, from: conversion.from, to: conversion.to};
+          if (conversion.path) {
+            entry.path = conversion.path;
+          }
+          applied.push(entry);
+        }
+      }
+
+      return applied;
+    }
+
+    /**
+     * Find the signature which would be invoked for arguments of given types.
+     * Signatures are type-checked per parameter in the order of Param.compare,
+     * and for equally ranked parameters in the order of the signatures.
+     * @param {Signature[]} signatures    Ordered array with expanded signatures
+     * @param {string[]} types            The types of the arguments
+     * @param {boolean} allowConversions
+     * @return {Signature | null} Returns the matching signature, or null
+     */
+    function findMatchingSignature (signatures, types, allowConversions) {
+      var typeIndexes = getTypeIndexes();
+      var matches = signatures.filter(function (signature) {
+        return signature.fn && signature.acceptsTypes(types, allowConversions);
+      });
+
+      matches = stableSort(matches, function (a, b) {
+        for (var i = 0; i < types.length; i++) {
+          var cmp = Param.compare(a.getParam(i), b.getParam(i), typeIndexes);
+          if (cmp !== 0) {
+            return cmp;
+          }
+        }
+        return 0;
+      });
+
+      return matches[0] || null;
+    }
+
+    /**
+     * Get structured descriptions of the signatures of a typed function, in
+     * the order of fn.signatures. Example:
+     *
+     *   var fn = typed({'string | boolean, [number]': function () {...}});
+     *   typed.signaturesOf(fn)[0];
+     *   // {
+     *   //   signature: 'string,[number]',
+     *   //   declaration: 'string | boolean, [number]',
+     *   //   params: [
+     *   //     {types: ['string'], varArgs: false, optional: false},
+     *   //     {types: ['number'], varArgs: false, optional: true}
+     *   //   ],
+     *   //   returns: null,
+     *   //   fn: ...,
+     *   //   variants: [...]
+     *   // }
+     *
+     * The variants are the expanded signatures by which the implementation
+     * is invoked: the signature itself, signatures in which optional
+     * parameters are omitted, and signatures reached via the conversions with
+     * which the typed function was created.
+     *
+     * @param {Function} fn   A typed function
+     * @return {Array.<Object>} Returns a description per signature
+     */
+    function signaturesOf (fn) {
+      var data = getTypedFunctionData(fn);
+
+      return Object.keys(fn.signatures).map(function (key) {
+        var implementation = fn.signatures[key];
+        var signature = new Signature(key);
+        var returns = fn.returnTypes && fn.returnTypes[key];
+
+        // the compiled signatures invoking this implementation
+        var variants = data.signatures.filter(function (variant) {
+          return variant.fn && variant.getKey() === key;
+        });
+
+        return {
+          signature: key,
+          declaration: (fn.declarations && fn.declarations[key]) || key,
+          params: signature.params.map(describeParam),
+          returns: returns || null,
+          fn: implementation,
+          variants: variants.map(function (variant) {
+            return {
+              signature: variant.params.join(','),
+              params: variant.params.map(describeParam),
+              omitted: variant.omitted.length,
+              conversions: variant.hasConversions()
+            };
+          })
+        };
+      });
+    }
+
+    /**
+     * Inspect how a typed function dispatches its arguments. Returns the
+     * source code generated when creating the typed function, the function
+     * references used by the code, and the node tree from which the code is
+     * generated, as plain data. Nodes contain the parameter they type-check,
+     * the signature invoked when all arguments are type-checked, the
+     * signatures with trailing parameters, and whether they fall through to
+     * other signatures.
+     * @param {Function} fn   A typed function
+     * @return {{source: string, refs: Object.<string, Function>, tree: Object}}
+     */
+    function inspect (fn) {
+      var data = getTypedFunctionData(fn);
+
+      return {
+        source: data.body,
+        refs: data.refs.toObject(),
+        tree: data.node.toObject()
+      };
+    }
+
+    /**
+     * Render the decision tree of a typed function as a graph in the DOT
+     * language of Graphviz. Each node shows the parameter it type-checks and
+     * its conversions, the signature invoked when all arguments are checked
+     * (drawn with a double border), and the signatures with trailing
+     * parameters. Dashed edges point from nodes falling through to the next
+     * node. Nodes which can never be reached because the preceding nodes
+     * already handle all of their types are drawn in red. The graph shows the
+     * node tree with which the typed function was created.
+     * @param {Function} fn   A typed function
+     * @return {string} Returns the graph in the DOT language
+     */
+    function toDot (fn) {
+      var root = getTypedFunctionData(fn).node;
+      var name = fn.name || 'unnamed';
+      var lines = [
+        'digraph ' + JSON.stringify(name) + ' {',
+        '  node [shape=box, fontname="monospace"];'
+      ];
+      var count = 0;
+
+      function render (node, unreachable) {
+        var id = 'n' + (count++);
+        var label = node.param ? nodeToDot(node) : [name];
+        var attrs = [];
+
+        if (node.signature) {
+          attrs.push('peripheries=2');
+        }
+        if (unreachable) {
+          label.push('unreachable');
+          attrs.push('color=red', 'fontcolor=red');
+        }
+        lines.push('  ' + id + ' [label=' + JSON.stringify(label.join('\n')) +
+            (attrs.length ? (', ' + attrs.join(', ')) : '') + '];');
+
+        // types of which the arguments are always handled by preceding childs
+        var handled = [];
+        var previous = null;
+        for (var i = 0; i < node.childs.length; i++) {
+          var child = node.childs[i];
+          var childUnreachable = unreachable || isHandled(child.param, handled);
+          var childId = render(child, childUnreachable);
+
+          lines.push('  ' + id + ' -> ' + childId + ';');
+          if (previous && (previous.node.fallThrough || previous.node.fallible)) {
+            lines.push('  ' + previous.id + ' -> ' + childId + ' [style=dashed, label="fall through"];');
+          }
+
+          if (!child.fallThrough && !child.fallible) {
+            handled = handled.concat(child.param.anyType ? ['any'] : child.param.types);
+          }
+          previous = {node: child, id: childId};
+        }
+
+        return id;
+      }
+
+      render(root, false);
+      lines.push('}');
+
+      return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Create the lines of the label of a node in a DOT graph.
+     * This is a helper function of toDot
+     * @param {Node} node   A non-root node
+     * @return {string[]}
+     * @private
+     */
+    function nodeToDot (node) {
+      var param = node.param;
+      var label = [param.toString()];
+
+      // conversions of the grouped parameter, and of the parameter of the
+      // terminal signature, which can differ from the grouped parameter
+      var params = [param];
+      if (node.signature) {
+        params.push(node.signature.params[node.path.length - 1]);
+      }
+      params.forEach(function (p) {
+        p.conversions.forEach(function (conversion) {
+          var line = conversion && ('convert: ' + conversionToString(conversion));
+          if (line && label.indexOf(line) === -1) {
+            label.push(line);
+          }
+        });
+      });
+      if (node.fallible) {
+        label.push('fallible');
+      }
+      if (node.signature) {
+        label.push('signature: ' + node.signature.getKey());
+      }
+      for (var j = 0; j < node.trailing.length; j++) {
+        label.push('trailing: ' + node.trailing[j].getKey());
+      }
+
+      return label;
+    }
+
+    /**
+     * Test whether all types of a parameter are handled by preceding nodes:
+     * when one of them has the any type, or types which are equal to or a
+     * supertype of the types of the parameter.
+     * This is a helper function of toDot
+     * @param {Param} param
+     * @param {string[]} handled   Types of the preceding nodes
+     * @return {boolean}
+     * @private
+     */
+    function isHandled (param, handled) {
+      if (handled.indexOf('any') !== -1) {
+        return true;
+      }
+
+      return !param.anyType && param.types.every(function (type) {
+        return handled.some(function (other) {
+          return other === type || isSubtype(type, other);
+        });
+      });
+    }
+
+    /**
+     * Get the declaration of a signature of a typed function, including its
+     * return type. Typed functions merged from typed functions keep the
+     * declaration of the original signature.
+     * @param {Function} fn     A typed function
+     * @param {string} key      A normalized signature of fn
+     * @return {string}
+     */
+    function getDeclaration (fn, key) {
+      var declaration = fn.declarations && fn.declarations[key];
+      if (declaration) {
+        return declaration;
+      }
+
+      var returns = fn.returnTypes && fn.returnTypes[key];
+      return returns ? (key + ' -> ' + returns) : key;
+    }
+
+    /**
+     * Create a plain object describing a parameter. The conversions of a
+     * parameter are listed per type, and are null for types which are not
+     * converted. Chains of conversions list the traversed types in a
+     * property path.
+     * @param {Param} param
+     * @return {Object}
+     */
+    function describeParam (param) {
+      var description = {
+        types: param.types.slice(),
+        varArgs: param.varArgs,
+        optional: param.optional
+      };
+      if (param.defaultValue !== undefined) {
+        description.defaultValue = param.defaultValue;
+      }
+      if (param.varArgs) {
+        description.min = param.min;
+        description.max = param.max;
+      }
+      if (param.hasConversions()) {
+        description.conversions = param.types.map(function (type, i) {
+          var conversion = param.conversions[i];
+          if (!conversion) {
+            return null;
+          }
+          var entry = {from: conversion.from, to: conversion.to};
+          if (conversion.path) {
+            entry.path = conversion.path.slice();
+          }
+          return entry;
+        });
+      }
+      return description;
+    }
+
+    /**
+     * Create a TypeScript declaration of a typed function, with an overload
+     * for each of its signatures. Example:
+     *
+     *   typed.toTypeScript(add, {name: 'add'});
+     *   // export declare function add(arg0: number, arg1: number): number;
+     *   // export declare function add(arg0: string, arg1: string): any;
+     *
+     * Types are mapped to TypeScript types via options.types, the property
+     * `ts` of the types in typed.types, or else a default mapping. Types which
+     * can be converted to a parameter are accepted as input too.
+     *
+     * @param {Function} fn                 A typed function
+     * @param {{name?: string, types?: Object.<string, string>}} [options]
+     *     Optional name of the declared function (the name of fn by default),
+     *     and a map with TypeScript types for typed types
+     * @return {string} Returns the declaration
+     */
+    function toTypeScript (fn, options) {
+      if (!fn.signatures) {
+        throw new TypeError('Function is no typed-function');
+      }
+
+      var name = (options && options.name) || fn.name;
+      if (!name) {
+        throw new TypeError('Name expected for the declaration of an unnamed function');
+      }
+
+      var mapping = (options && options.types) || {};
+      var declarations = [];
+      for (var key in fn.signatures) {
+        if (fn.signatures.hasOwnProperty(key)) {
+          var signature = new Signature(key);
+          var returns = fn.returnTypes && fn.returnTypes[key];
+
+          declarations.push('export declare function ' + name +
+              '(' + paramsToTypeScript(signature, mapping) + '): ' +
+              (returns ? typesToTypeScript(new Param(returns).types, mapping) : 'any') + ';');
+        }
+      }
+
+      return declarations.join('\n') + '\n';
+    }
+
+    /**
+     * Create the TypeScript parameter list of a signature. Variable arguments
+     * are rendered as a rest parameter, which is a tuple when the number of
+     * arguments is bounded or when the variable arguments are followed by
+     * trailing parameters. A bounded number of arguments is rendered with
+     * optional elements like '[number, number?]', or when followed by
+     * trailing parameters, with a union of tuples per number of arguments
+     * for small bounds, and with a rest element like
+     * '[number, ...number[], string]' otherwise.
+     * @param {Signature} signature
+     * @param {Object.<string, string>} mapping
+     * @return {string} Returns the parameters like 'arg0: number, arg1?: string'
+     */
+    function paramsToTypeScript (signature, mapping) {
+      var params = [];
+
+      for (var i = 0; i < signature.params.length; i++) {
+        var param = signature.params[i];
+        var type = typesToTypeScript(getAcceptedTypes(param.types), mapping);
+
+        if (!param.varArgs) {
+          params.push('arg' + i + (param.optional ? '?' : '') + ': ' + type);
+          continue;
+        }
+
+        if (!param.isBounded() && signature.trailing === 0) {
+          params.push('...args: ' + arrayToTypeScript(type));
+          break;
+        }
+
+        var trailing = signature.params.slice(i + 1).map(function (param) {
+          return typesToTypeScript(getAcceptedTypes(param.types), mapping);
+        });
+        var elements = repeat(type, param.min);
+        if (param.max !== Infinity && trailing.length === 0) {
+          // optional elements must be the last elements of a tuple
+          elements = elements.concat(repeat(type + '?', param.max - param.min));
+          params.push('...args: [' + elements.join(', ') + ']');
+        }
+        else if (param.max !== Infinity && param.max - param.min < MAX_TUPLES) {
+          var tuples = [];
+          for (var n = param.min; n <= param.max; n++) {
+            tuples.push('[' + repeat(type, n).concat(trailing).join(', ') + ']');
+          }
+          params.push('...args: ' + tuples.join(' | '));
+        }
+        else {
+          elements.push('...' + arrayToTypeScript(type));
+          params.push('...args: [' + elements.concat(trailing).join(', ') + ']');
+        }
+        break;
+      }
+
+      return params.join(', ');
+    }
+
+    /**
+     * Create an array repeating a value
+     * @param {string} value
+     * @param {number} count
+     * @return {string[]}
+     */
+    function repeat (value, count) {
+      var array = [];
+      for (var i = 0; i < count; i++) {
+        array.push(value);
+      }
+      return array;
+    }
+
+    /**
+     * Get the types accepted by a parameter with given types: the types
+     * themselves and the types which can be converted to them.
+     * @param {string[]} types
+     * @return {string[]}
+     */
+    function getAcceptedTypes (types) {
+      var accepted = types.slice();
+      var conversions = getConversions(types);
+
+      for (var i = 0; i < conversions.length; i++) {
+        var conversion = conversions[i];
+        if (containsType(types, conversion.to) && !contains(accepted, conversion.from)) {
+          accepted.push(conversion.from);
+        }
+      }
+
+      return accepted;
+    }
+
+    /**
+     * Create a TypeScript union type of given types
+     * @param {string[]} types
+     * @param {Object.<string, string>} mapping
+     * @return {string} Returns a type like 'number | string'
+     */
+    function typesToTypeScript (types, mapping) {
+      var tsTypes = [];
+      for (var i = 0; i < types.length; i++) {
+        var tsType = typeToTypeScript(types[i], mapping);
+        if (tsType === 'any') {
+          return 'any';
+        }
+        if (!contains(tsTypes, tsType)) {
+          tsTypes.push(tsType);
+        }
+      }
+      return (tsTypes.length > 1) ? tsTypes.map(unionMemberToTypeScript).join(' | ') : tsTypes[0];
+    }
+
+    /**
+     * Wrap a TypeScript function type in parentheses, to be used as member
+     * of a union type
+     * @param {string} type    A TypeScript type
+     * @return {string}
+     */
+    function unionMemberToTypeScript (type) {
+      return /=>/.test(type) ? ('(' + type + ')') : type;
+    }
+
+    /**
+     * Create the TypeScript type of a single (normalized) type, like
+     * 'Array<number>' for the type 'Array.<number>'
+     * @param {string} type
+     * @param {Object.<string, string>} mapping
+     * @return {string}
+     */
+    function typeToTypeScript (type, mapping) {
+      if (mapping.hasOwnProperty(type)) {
+        return mapping[type];
+      }
+
+      if (isNullable(type)) {
+        return unionMemberToTypeScript(typeToTypeScript(stripNullable(type), mapping)) + ' | null';
+      }
+
+      var generic = parseGeneric(type);
+      if (generic) {
+        var elements = typesToTypeScript(generic.types, mapping);
+        return (generic.base === 'Array')
+            ? ('Array<' + elements + '>')
+            : ('Record<string, ' + elements + '>');
+      }
+
+      var record = parseRecord(type);
+      if (record) {
+        var props = record.map(function (prop) {
+          return (/^[A-Za-z_$][\w$]*$/.test(prop.name) ? prop.name : JSON.stringify(prop.name)) +
+              (prop.optional ? '?' : '') + ': ' + typesToTypeScript(prop.types, mapping);
+        });
+        return (props.length > 0) ? ('{ ' + props.join('; ') + ' }') : '{}';
+      }
+
+      var literal = parseLiteral(type);
+      if (literal) {
+        return ('value' in literal) ? JSON.stringify(literal.value) : 'number';
+      }
+
+      var entry = findType(type);
+      if (entry && typeof entry.ts === 'string') {
+        return entry.ts;
+      }
+
+      return TS_TYPES.hasOwnProperty(type) ? TS_TYPES[type] : type;
+    }
+
+    /**
+     * Create a TypeScript array type of a type
+     * @param {string} type    A TypeScript type like 'number' or 'number | string'
+     * @return {string} Returns an array type like 'number[]' or '(number | string)[]'
+     */
+    function arrayToTypeScript (type) {
+      return /^[\w$.]+(\[\])*$/.test(type) ? (type + '[]') : ('(' + type + ')[]');
+    }
+
+    /**
+     * Create a JSON Schema (draft 2020-12) for the arguments of each of the
+     * signatures of a typed function. The arguments are described as a tuple
+     * with a schema per parameter in `prefixItems`. Example:
+     *
+     *   typed.toJSONSchema(fn);
+     *   // {
+     *   //   'number,string': {
+     *   //     $schema: 'https://json-schema.org/draft/2020-12/schema',
+     *   //     type: 'array',
+     *   //     prefixItems: [{type: 'number'}, {type: 'string'}],
+     *   //     items: false,
+     *   //     minItems: 2,
+     *   //     maxItems: 2
+     *   //   }
+     *   // }
+     *
+     * Types are mapped to schemas via options.types, the property `schema` of
+     * the types in typed.types, or else a default mapping. Union types and
+     * types which can be converted to a parameter are accepted as
+     * alternatives via `anyOf`. The signatures split from a declaration with
+     * union types, like 'number,boolean' and 'string,boolean' of
+     * 'number | string, boolean', are described by a single schema with key
+     * 'number|string,boolean'.
+     *
+     * @param {Function} fn                 A typed function
+     * @param {{types?: Object.<string, Object>}} [options]
+     *     A map with schemas for typed types
+     * @return {Object.<string, Object>} Returns a map with the normalized
+     *                                   signatures as key and the schema of
+     *                                   their arguments as value
+     */
+    function toJSONSchema (fn, options) {
+      if (!fn.signatures) {
+        throw new TypeError('Function is no typed-function');
+      }
+
+      var mapping = (options && options.types) || {};
+      var schemas = {};
+      groupByDeclaration(fn).forEach(function (key) {
+        schemas[key] = mergeObjects({$schema: JSON_SCHEMA}, signatureToJSONSchema(new Signature(key), mapping));
+      });
+
+      return schemas;
+    }
+
+    /**
+     * Group the signatures of a typed function which are split from the same
+     * declaration with union types. When all signatures split from the
+     * declaration invoke the same implementation, they are replaced with the
+     * normalized declaration, like 'number|string,boolean'. Otherwise, the
+     * signatures are listed separately.
+     * This is a helper function of toJSONSchema
+     * @param {Function} fn     A typed function
+     * @return {string[]} Returns the normalized signatures and declarations
+     * @private
+     */
+    function groupByDeclaration (fn) {
+      var groups = [];
+      var byDeclaration = {};
+
+      Object.keys(fn.signatures).forEach(function (key) {
+        var declaration = (fn.declarations && fn.declarations[key]) || key;
+        var group = byDeclaration[declaration];
+        if (group && fn.signatures[group.signatures[0]] === fn.signatures[key]) {
+          group.signatures.push(key);
+        }
+        else {
+          group = {declaration: declaration, signatures: [key]};
+          byDeclaration[declaration] = group;
+          groups.push(group);
+        }
+      });
+
+      return groups.map(function (group) {
+        var signature = new Signature(group.declaration);
+        var count = 1;
+        for (var i = 0; i < signature.params.length; i++) {
+          if (!signature.params[i].varArgs) {
+            count *= signature.params[i].types.length;
+          }
+        }
+
+        return (count > 1 && group.signatures.length === count) ? [signature.getKey()] : group.signatures;
+      }).reduce(function (keys, groupKeys) {
+        return keys.concat(groupKeys);
+      }, []);
+    }
+
+    /**
+     * Create the tuple schema of the arguments of a signature.
+     *
+     * Variable arguments with a maximum count followed by trailing
+     * parameters are described as alternative tuples. Without maximum, this
+     * cannot be expressed in a tuple schema, and the items following the
+     * leading parameters accept the types of the variable arguments and of
+     * the trailing parameters.
+     *
+     * @param {Signature} signature
+     * @param {Object.<string, Object>} mapping
+     * @return {Object} Returns the schema
+     */
+    function signatureToJSONSchema (signature, mapping) {
+      var prefixItems = [];
+      var required = 0;
+
+      for (var i = 0; i < signature.params.length; i++) {
+        var param = signature.params[i];
+        var schema = typesToJSONSchema(getAcceptedTypes(param.types), mapping);
+
+        if (param.varArgs) {
+          var trailing = signature.params.slice(i + 1).map(function (param) {
+            return typesToJSONSchema(getAcceptedTypes(param.types), mapping);
+          });
+
+          if (trailing.length > 0 && param.max !== Infinity) {
+            var tuples = [];
+            for (var n = param.min; n <= param.max; n++) {
+              var items = prefixItems.slice();
+              for (var j = 0; j < n; j++) {
+                items.push(schema);
+              }
+              tuples.push(tupleToJSONSchema(items.concat(trailing), items.length + trailing.length));
+            }
+            return (tuples.length > 1) ? {anyOf: tuples} : tuples[0];
+          }
+
+          var result = {
+            type: 'array',
+            prefixItems: prefixItems,
+            items: (trailing.length > 0) ? {anyOf: [schema].concat(trailing)} : schema,
+            minItems: required + param.min + trailing.length
+          };
+          if (param.max !== Infinity) {
+            result.maxItems = required + param.max;
+          }
+          return result;
+        }
+
+        if (param.optional) {
+          if (param.defaultValue !== undefined) {
+            schema = mergeObjects(schema, {default: param.defaultValue});
+          }
+        }
+        else {
+          required++;
+        }
+        prefixItems.push(schema);
+      }
+
+      var tuple = tupleToJSONSchema(prefixItems, prefixItems.length);
+      tuple.minItems = required;
+      return tuple;
+    }
+
+    /**
+     * Create the schema of a tuple with a fixed number of items
+     * @param {Object[]} prefixItems   The schema of each of the items
+     * @param {number} count           Number of items
+     * @return {Object} Returns the schema
+     */
+    function tupleToJSONSchema (prefixItems, count) {
+      return {
+        type: 'array',
+        prefixItems: prefixItems,
+        items: false,
+        minItems: count,
+        maxItems: count
+      };
+    }
+
+    /**
+     * Create the schema of a union of types
+     * @param {string[]} types
+     * @param {Object.<string, Object>} mapping
+     * @return {Object} Returns a schema, using `anyOf` for multiple types
+     */
+    function typesToJSONSchema (types, mapping) {
+      if (contains(types, 'any')) {
+        return {};
+      }
+
+      var schemas = types.map(function (type) {
+        return typeToJSONSchema(type, mapping);
+      });
+      return (schemas.length > 1) ? {anyOf: schemas} : schemas[0];
+    }
+
+    /**
+     * Create the schema of a single (normalized) type
+     * @param {string} type
+     * @param {Object.<string, Object>} mapping
+     * @return {Object} Returns the schema
+     */
+    function typeToJSONSchema (type, mapping) {
+      if (mapping.hasOwnProperty(type)) {
+        return copyObject(mapping[type]);
+      }
+
+      if (isNullable(type)) {
+        return {anyOf: [typeToJSONSchema(stripNullable(type), mapping), {type: 'null'}]};
+      }
+
+      var generic = parseGeneric(type);
+      if (generic) {
+        var elements = typesToJSONSchema(generic.types, mapping);
+        return (generic.base === 'Array')
+            ? {type: 'array', items: elements}
+            : {type: 'object', additionalProperties: elements};
+      }
+
+      var record = parseRecord(type);
+      if (record) {
+        var properties = {};
+        var required = [];
+        for (var i = 0; i < record.length; i++) {
+          properties[record[i].name] = typesToJSONSchema(record[i].types, mapping);
+          if (!record[i].optional) {
+            required.push(record[i].name);
+          }
+        }
+        return {type: 'object', properties: properties, required: required};
+      }
+
+      var literal = parseLiteral(type);
+      if (literal) {
+        return ('value' in literal)
+            ? {const: literal.value}
+            : {type: 'number', minimum: literal.min, maximum: literal.max};
+      }
+
+      var entry = findType(type);
+      if (entry && entry.schema) {
+        return copyObject(entry.schema);
+      }
+
+      return JSON_SCHEMA_TYPES.hasOwnProperty(type) ? copyObject(JSON_SCHEMA_TYPES[type]) : {};
+    }
+
+    /**
+     * Create a new object with the properties of two objects
+     * @param {Object} a
+     * @param {Object} b    Properties of b override those of a
+     * @return {Object}
+     */
+    function mergeObjects (a, b) {
+      var merged = copyObject(a);
+      for (var prop in b) {
+        if (b.hasOwnProperty(prop)) {
+          merged[prop] = b[prop];
+        }
+      }
+      return merged;
+    }
+
+    /**
+     * Create a reference to the typed function itself, to be used as the
+     * implementation of a signature. The callback is invoked with the typed
+     * function once it is created, and must return the implementation.
+     * When merging typed functions, the callback is invoked again with the
+     * merged function. Example:
+     *
+     *   var add = typed({
+     *     'number, number': function (a, b) {
+     *       return a + b;
+     *     },
+     *     'Array, Array': typed.referToSelf(function (self) {
+     *       return function (a, b) {
+     *         return a.map(function (ai, i) {
+     *           return self(ai, b[i]);
+     *         });
+     *       };
+     *     })
+     *   });
+     *
+     * @param {function(self: function): function} callback
+     * @return {{referToSelf: {callback: function}}} Returns the reference
+     */
+    function referToSelf (callback) {
+      if (typeof callback !== 'function') {
+        throw new TypeError('Callback function expected as first argument');
+      }
+
+      return {
+        referToSelf: {
+          callback: callback
+        }
+      };
+    }
+
+    /**
+     * Create a reference to one or multiple other signatures of the typed
+     * function, to be used as the implementation of a signature. The last
+     * argument is a callback, which is invoked with the implementations of
+     * the referenced signatures once the typed function is created, and must
+     * return the implementation. The referenced implementations are invoked
+     * directly, without type checking their arguments again. Example:
+     *
+     *   var fn = typed({
+     *     'number, number': function (a, b) {
+     *       return a + b;
+     *     },
+     *     'number, string': typed.referTo('number, number', function (addNumbers) {
+     *       return function (a, b) {
+     *         return addNumbers(a, parseFloat(b));
+     *       };
+     *     })
+     *   });
+     *
+     * @param {...string} signatures   The referenced signatures
+     * @param {function(...function): function} callback
+     * @return {{referTo: {references: string[], callback: function}}}
+     *                                 Returns the reference
+     */
+    function referTo () {
+      var references = Array.prototype.slice.call(arguments, 0, -1);
+      var callback = last(arguments);
+
+      if (typeof callback !== 'function') {
+        throw new TypeError('Callback function expected as last argument');
+      }
+      for (var i = 0; i < references.length; i++) {
+        if (typeof references[i] !== 'string') {
+          throw new TypeError('Signatures (strings) expected in all arguments except the last one');
+        }
+      }
+
+      return {
+        referTo: {
+          references: references,
+          callback: callback
+        }
+      };
+    }
+
     /**
      * Convert a given value to another data type.
      * @param {*} value
@@ -1340,10 +4542,17 @@
         return value;
       }
 
-      for (var i = 0; i < typed.conversions.length; i++) {
-        var conversion = typed.conversions[i];
+      var conversions = typed.config.conversionChains ?
+          typed.conversions.concat(createConversionChains([type])) :
+          typed.conversions;
+
+      for (var i = 0; i < conversions.length; i++) {
+        var conversion = conversions[i];
         if (conversion.from === from && conversion.to === type) {
-          return conversion.convert(value);
+          var converted = conversion.convert(value);
+          if (!(conversion.fallible && converted === NO_MATCH)) {
+            return converted;
+          }
         }
       }
 
@@ -1357,7 +4566,16 @@
     typed.ignore = ignore;
     typed.create = create;
     typed.find = find;
+    typed.resolve = resolve;
+    typed.signaturesOf = signaturesOf;
+    typed.inspect = inspect;
+    typed.toDot = toDot;
+    typed.toTypeScript = toTypeScript;
+    typed.toJSONSchema = toJSONSchema;
+    typed.referToSelf = referToSelf;
+    typed.referTo = referTo;
     typed.convert = convert;
+    typed.NO_MATCH = NO_MATCH;
 
     // add a type
     typed.addType = function (type) {
@@ -1365,6 +4583,15 @@
         throw new TypeError('Object with properties {name: string, test: function} expected');
       }
 
+      if (type.extends !== undefined) {
+        if (typeof type.extends !== 'string') {
+          throw new TypeError('String expected for property extends of type "' + type.name + '"');
+        }
+        if (!findType(type.extends)) {
+          throw new Error('Unknown type "' + type.extends + '"');
+        }
+      }
+
       typed.types.push(type);
     };
 
@@ -1377,11 +4604,89 @@
         throw new TypeError('Object with properties {from: string, to: string, convert: function} expected');
       }
 
+      if (conversion.cost !== undefined && !(typeof conversion.cost === 'number' && conversion.cost >= 0)) {
+        throw new TypeError('Non-negative number expected for the cost of a conversion');
+      }
+
       typed.conversions.push(conversion);
     };
 
+    // configure the registries of the instance
+    if (_options.inherit) {
+      if (!parent) {
+        throw new TypeError('Cannot inherit, create must be invoked on an instance of typed-function');
+      }
+
+      typed.types = parent.types.slice();
+      typed.conversions = parent.conversions.slice();
+      typed.ignore = parent.ignore.slice();
+      typed.config = copyObject(parent.config);
+    }
+
+    if (_options.types !== undefined) {
+      typed.types = [];
+      forEachOption(_options, 'types', typed.addType);
+    }
+
+    if (_options.conversions !== undefined) {
+      typed.conversions = [];
+      forEachOption(_options, 'conversions', typed.addConversion);
+    }
+
+    if (_options.ignore !== undefined) {
+      typed.ignore = [];
+      forEachOption(_options, 'ignore', function (type) {
+        if (typeof type !== 'string') {
+          throw new TypeError('String expected for the names of ignored types');
+        }
+        typed.ignore.push(type);
+      });
+    }
+
+    if (_options.config !== undefined) {
+      if (!_options.config || typeof _options.config !== 'object') {
+        throw new TypeError('Object expected for option "config"');
+      }
+      var extraConfig = copyObject(_options.config);
+      for (var key in extraConfig) {
+        typed.config[key] = extraConfig[key];
+      }
+    }
+
     return typed;
   }
 
+  /**
+   * Invoke a callback for every entry of an option containing an Array
+   * @param {Object} options
+   * @param {string} name       Name of the option, like 'types'
+   * @param {function(*)} callback
+   */
+  function forEachOption(options, name, callback) {
+    var entries = options[name];
+    if (!Array.isArray(entries)) {
+      throw new TypeError('Array expected for option "' + name + '"');
+    }
+
+    entries.forEach(function (entry) {
+      callback(entry);
+    });
+  }
+
+  /**
+   * Create a shallow copy of an object
+   * @param {Object} object
+   * @return {Object} Returns the copy
+   */
+  function copyObject(object) {
+    var copy = {};
+    for (var key in object) {
+      if (object.hasOwnProperty(key)) {
+        copy[key] = object[key];
+      }
+    }
+    return copy;
+  }
+
   return create();
 }));